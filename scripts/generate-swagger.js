@@ -38,6 +38,9 @@ const options = {
         { name: 'Ops Assistant', description: "Assistant IA pour la supervision, le diagnostic et l'optimisation des opérations." },
         { name: 'Cache', description: "Gestion du cache Redis pour les réponses de l'IA." },
         { name: 'Health', description: "Endpoints de vérification de l'état de santé du service." },
+        { name: 'Usage', description: "Consommation des fournisseurs LLM (tokens et coût estimé) pour la refacturation." },
+        { name: 'Quotas', description: "Budgets de consommation LLM (tokens et coût) par utilisateur et par rôle." },
+        { name: 'Me', description: "Informations sur l'utilisateur connecté." },
     ],
     components: {
         securitySchemes: {
@@ -109,10 +112,90 @@ const options = {
                 properties: {
                     sessionId: { type: 'string', format: 'uuid', nullable: true, description: "ID de session pour conserver le contexte. Si non fourni, une nouvelle session est créée." },
                     message: { type: 'string', description: "Message de l'utilisateur.", minLength: 1, maxLength: 2000 },
-                    context: { type: 'object', nullable: true, description: "Contexte additionnel (par exemple, le dashboard actuel consulté par l'utilisateur)." }
+                    context: { $ref: '#/components/schemas/ChatContext' }
                 },
                 required: ['message']
             },
+            QuotaLimits: {
+                type: 'object',
+                additionalProperties: false,
+                description: 'Limites d\'une période. null : illimité ; métrique absente : limite héritée (rôle, défaut).',
+                properties: {
+                    tokens: { type: 'number', minimum: 0, nullable: true, example: 200000 },
+                    costUsd: { type: 'number', minimum: 0, nullable: true, example: 5 }
+                }
+            },
+            QuotaOverride: {
+                type: 'object',
+                properties: {
+                    daily: { $ref: '#/components/schemas/QuotaLimits' },
+                    monthly: { $ref: '#/components/schemas/QuotaLimits' },
+                    reason: { type: 'string', maxLength: 500, example: 'Migration du cluster, budget relevé pour la semaine' }
+                }
+            },
+            ChatContext: {
+                type: 'object',
+                nullable: true,
+                additionalProperties: false,
+                description: "Ce que l'utilisateur a à l'écran, injecté dans le prompt système de l'assistant pour résoudre « ce graphe », « ce service »...",
+                properties: {
+                    dashboard: {
+                        type: 'object',
+                        description: "Dashboard consulté (configuration du frontend ; seuls l'identifiant, le titre et les blocs sont utilisés).",
+                        properties: {
+                            id: { type: 'string', maxLength: 200 },
+                            title: { type: 'string', maxLength: 200 },
+                            blocks: {
+                                type: 'array',
+                                maxItems: 50,
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        id: { type: 'string', maxLength: 200 },
+                                        type: { type: 'string', maxLength: 200, example: 'chart' },
+                                        title: { type: 'string', maxLength: 200 },
+                                        config: {
+                                            type: 'object',
+                                            properties: {
+                                                metric: { type: 'string', maxLength: 200 },
+                                                metrics: { type: 'array', items: { type: 'string', maxLength: 200 } },
+                                                query: { type: 'string', maxLength: 1000, description: 'Requête PromQL du bloc.' }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    service: { type: 'string', pattern: '^[A-Za-z0-9._-]{1,100}$', example: 'auth-service', description: 'Service sélectionné.' },
+                    timeRange: {
+                        type: 'object',
+                        additionalProperties: false,
+                        description: 'Période affichée : préréglage ou bornes explicites.',
+                        properties: {
+                            preset: { type: 'string', enum: ['5m', '15m', '30m', '1h', '3h', '6h', '12h', '24h', '7d', '30d'] },
+                            from: { type: 'string', format: 'date-time' },
+                            to: { type: 'string', format: 'date-time' }
+                        }
+                    },
+                    alerts: {
+                        type: 'array',
+                        maxItems: 50,
+                        description: 'Alertes visibles à l\'écran.',
+                        items: {
+                            type: 'object',
+                            required: ['name'],
+                            properties: {
+                                name: { type: 'string', maxLength: 200, example: 'HighLatency' },
+                                severity: { type: 'string', enum: ['critical', 'warning', 'info'] },
+                                service: { type: 'string', maxLength: 100 },
+                                state: { type: 'string', maxLength: 100, example: 'firing' },
+                                startsAt: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    }
+                }
+            },
             ChatResponse: {
                 type: 'object',
                 properties: {
@@ -0,0 +1,57 @@
+// src/config/auth.js
+// Émetteurs de confiance, audiences et clés (JWKS) des jetons utilisateur
+
+const readList = (name) => {
+  if (!process.env[name]) return undefined;
+  return process.env[name].split(',').map(value => value.trim()).filter(Boolean);
+};
+
+const readInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Chemin du JWKS publié par l'Auth Service de SupervIA
+const DEFAULT_JWKS_PATH = '/api/v1/auth/jwks.json';
+
+/**
+ * `https://auth.example.com` -> JWKS de l'Auth Service ;
+ * `https://sso.example.com=https://sso.example.com/certs` -> JWKS explicite
+ */
+const parseIssuer = (entry) => {
+  const separator = entry.indexOf('=');
+  if (separator === -1) {
+    return { issuer: entry, jwksUri: `${entry.replace(/\/$/, '')}${DEFAULT_JWKS_PATH}` };
+  }
+  return { issuer: entry.slice(0, separator).trim(), jwksUri: entry.slice(separator + 1).trim() };
+};
+
+/**
+ * Configuration de la vérification des jetons utilisateur :
+ * - AUTH_ISSUERS : émetteurs acceptés (claim `iss`), `émetteur` ou `émetteur=uriDuJWKS`, séparés
+ *   par des virgules ; AUTH_SERVICE_URL par défaut ;
+ * - AUTH_AUDIENCES : audiences acceptées (claim `aud`), FRONTEND_URL par défaut ;
+ * - AUTH_JWKS_FILE : fichier JWKS local utilisé à la place des JWKS distants (tests, environnements isolés) ;
+ * - cache des clés (AUTH_JWKS_CACHE_TTL_MS), rafraîchissement en arrière-plan
+ *   (AUTH_JWKS_REFRESH_INTERVAL_MS, 0 pour désactiver) et délai minimal entre deux
+ *   rechargements déclenchés par un `kid` inconnu (AUTH_JWKS_REFETCH_COOLDOWN_MS).
+ */
+const resolve = () => {
+  const issuers = readList('AUTH_ISSUERS') || (process.env.AUTH_SERVICE_URL ? [process.env.AUTH_SERVICE_URL] : []);
+
+  return {
+    issuers: issuers.map(parseIssuer),
+    audiences: readList('AUTH_AUDIENCES') || (process.env.FRONTEND_URL ? [process.env.FRONTEND_URL] : []),
+    // Les algorithmes symétriques sont réservés aux jetons de service (service-token.service)
+    algorithms: (readList('AUTH_ALGORITHMS') || ['RS256']).filter(algorithm => !algorithm.startsWith('HS')),
+    jwksFile: process.env.AUTH_JWKS_FILE || null,
+    cacheTtlMs: readInt('AUTH_JWKS_CACHE_TTL_MS', 10 * 60 * 1000),
+    refreshIntervalMs: readInt('AUTH_JWKS_REFRESH_INTERVAL_MS', 5 * 60 * 1000),
+    refetchCooldownMs: readInt('AUTH_JWKS_REFETCH_COOLDOWN_MS', 30 * 1000),
+    timeoutMs: readInt('AUTH_JWKS_TIMEOUT_MS', 5000)
+  };
+};
+
+module.exports = {
+  resolve
+};
@@ -0,0 +1,166 @@
+// src/config/cache-policy.js
+// Politique de cache par type d'agent : TTL, désactivation et taille maximale des réponses
+
+// Agents suffixés par l'identifiant utilisateur (ex: chat-42) : ramenés à leur famille
+const PER_USER_AGENT_PREFIXES = ['chat', 'quick-status', 'auto-diagnose', 'performance-insights', 'dashboard'];
+
+/**
+ * Ramène un type d'agent à sa famille (chat-42 -> chat)
+ */
+const normalizeAgentType = (agentType) => {
+  if (!agentType) return 'unknown';
+  const prefix = PER_USER_AGENT_PREFIXES.find(p => agentType.startsWith(`${p}-`));
+  return prefix || agentType;
+};
+
+// Groupes partageant un TTL par défaut configurable (variables historiques du .env)
+const GROUPS = {
+  dashboard: 'CACHE_TTL_DASHBOARD',
+  opsAssistant: 'CACHE_TTL_OPS_ASSISTANT'
+};
+
+const DEFAULT_GROUP_TTL = {
+  dashboard: 7200,
+  opsAssistant: 1800
+};
+
+/**
+ * Politiques par défaut. `ttl` absent = TTL du groupe, `noCache` = jamais mis en cache.
+ * `staleSeconds` = durée pendant laquelle une entrée expirée peut encore être servie
+ * (stale-while-revalidate) pendant qu'une seule requête la régénère en arrière-plan.
+ * `freshness: 'live'` = réponse dépendant de l'état courant du système : la clé inclut une
+ * tranche de temps de `bucketSeconds`, si bien qu'une réponse n'est jamais resservie
+ * au-delà de sa tranche.
+ * Chaque valeur est surchargeable par variable d'environnement, voir `envName`.
+ */
+const POLICIES = {
+  // Agent générateur de dashboards
+  dashboard: { group: 'dashboard', staleSeconds: 600 },
+  dashboardLayout: { group: 'dashboard', ttl: 3600 },
+  dashboardExplanation: { group: 'dashboard', ttl: 3600 },
+  dashboardValidation: { group: 'dashboard' },
+  dashboardOptimization: { group: 'dashboard' },
+  templateSuggestion: { group: 'dashboard' },
+  blockRecommendation: { group: 'dashboard' },
+
+  // Assistant opérationnel
+  opsAssistant: { group: 'opsAssistant' },
+  metricsAnalysis: { group: 'opsAssistant', ttl: 1800 },
+  issueDiagnosis: { group: 'opsAssistant', ttl: 900 },
+  alertSuggestion: { group: 'opsAssistant', ttl: 3600 },
+  capacityPlanning: { group: 'opsAssistant', ttl: 7200 },
+  performanceAnalysis: { group: 'opsAssistant', ttl: 1800 },
+  metricExplanation: { group: 'opsAssistant', ttl: 3600 },
+  'quick-status': { group: 'opsAssistant', freshness: 'live', bucketSeconds: 60 },
+  'auto-diagnose': { group: 'opsAssistant', freshness: 'live', bucketSeconds: 300 },
+  'performance-insights': { group: 'opsAssistant', freshness: 'live', bucketSeconds: 300 },
+  // Conversation avec outils : chaque tour dépend de l'historique et de données fraîches
+  chat: { group: 'opsAssistant', noCache: true },
+  // Résumé glissant d'une conversation : propre à chaque session
+  chatSummary: { group: 'opsAssistant', noCache: true },
+
+  // Vérification de connectivité : une réponse en cache masquerait une panne
+  healthCheck: { noCache: true }
+};
+
+/**
+ * Nom de variable d'environnement pour un agent (dashboardValidation -> DASHBOARD_VALIDATION)
+ */
+const envName = (agentType) => {
+  return agentType
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+};
+
+const readInt = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+const readBool = (name) => {
+  if (process.env[name] === undefined) return undefined;
+  return process.env[name] === 'true';
+};
+
+/**
+ * Résout la politique effective d'un type d'agent.
+ * Priorité : variable spécifique à l'agent > politique par défaut > TTL du groupe > CACHE_TTL_DEFAULT
+ */
+const resolve = (agentType) => {
+  const name = normalizeAgentType(agentType);
+  const policy = POLICIES[name] || {};
+  const suffix = envName(name);
+
+  const defaultTTL = readInt('CACHE_TTL_DEFAULT') || 3600;
+  const groupTTL = policy.group
+    ? readInt(GROUPS[policy.group]) || DEFAULT_GROUP_TTL[policy.group]
+    : undefined;
+
+  const freshness = policy.freshness || 'static';
+  const bucketSeconds = freshness === 'live'
+    ? readInt(`CACHE_BUCKET_${suffix}`) || policy.bucketSeconds || 60
+    : null;
+  let ttl = readInt(`CACHE_TTL_${suffix}`) || policy.ttl || groupTTL || defaultTTL;
+  if (bucketSeconds) {
+    // Au-delà de sa tranche, une entrée n'est plus jamais relue
+    ttl = Math.min(ttl, bucketSeconds);
+  }
+  // Une entrée « live » périmée n'a plus de sens : pas de stale-while-revalidate
+  const staleSeconds = bucketSeconds
+    ? 0
+    : readInt(`CACHE_STALE_${suffix}`) ?? policy.staleSeconds ?? readInt('CACHE_STALE_DEFAULT') ?? 0;
+
+  return {
+    agentType: name,
+    group: policy.group || null,
+    ttl,
+    freshness,
+    bucketSeconds,
+    staleSeconds,
+    noCache: readBool(`CACHE_DISABLE_${suffix}`) ?? !!policy.noCache,
+    maxPayloadBytes: readInt(`CACHE_MAX_PAYLOAD_${suffix}`) ||
+      readInt('CACHE_MAX_PAYLOAD_DEFAULT') ||
+      256 * 1024,
+    known: !!POLICIES[name]
+  };
+};
+
+/**
+ * Complément de clé de cache pour les agents « live » : tranche de temps courante.
+ * Les données injectées dans le prompt font déjà partie de la clé.
+ */
+const keySalt = (policy) => {
+  if (policy.freshness !== 'live') return '';
+
+  const bucket = Math.floor(Date.now() / 1000 / policy.bucketSeconds);
+  return `|bucket:${bucket}`;
+};
+
+/**
+ * Politiques effectives de tous les agents connus (exposées par /api/cache/stats)
+ */
+const describe = () => {
+  return Object.keys(POLICIES).reduce((acc, agentType) => {
+    const { ttl, staleSeconds, noCache, maxPayloadBytes, group, freshness, bucketSeconds } = resolve(agentType);
+    acc[agentType] = {
+      ttl,
+      staleSeconds,
+      noCache,
+      maxPayloadBytes,
+      group,
+      freshness,
+      bucketSeconds,
+      env: `CACHE_TTL_${envName(agentType)}`
+    };
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  resolve,
+  describe,
+  keySalt,
+  normalizeAgentType,
+  envName
+};
@@ -0,0 +1,70 @@
+// src/config/llm-pricing.js
+// Table de prix des modèles LLM (USD par million de tokens) pour l'estimation des coûts
+
+const { envName } = require('./cache-policy');
+
+/**
+ * Prix publics par défaut. Un modèle versionné (gpt-4o-mini-2024-07-18) prend le prix du plus
+ * long préfixe connu. Surcharge par variable d'environnement, en USD par million de tokens :
+ * LLM_PRICE_INPUT_<MODELE> / LLM_PRICE_OUTPUT_<MODELE> (ex: LLM_PRICE_INPUT_GPT_4O_MINI),
+ * ce qui permet aussi de tarifer les déploiements Azure et les modèles auto-hébergés.
+ */
+const DEFAULT_PRICES = {
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'gpt-4': { input: 30.00, output: 60.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'mock-fixtures': { input: 0, output: 0 }
+};
+
+const readFloat = (name) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+/**
+ * Prix d'un modèle, ou null s'il n'est pas tarifé (ni surcharge, ni préfixe connu, ni LLM_PRICE_*_DEFAULT)
+ */
+const priceFor = (model) => {
+  const suffix = envName(model || 'unknown');
+  const known = Object.keys(DEFAULT_PRICES)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  const base = known ? DEFAULT_PRICES[known] : {};
+
+  const input = readFloat(`LLM_PRICE_INPUT_${suffix}`) ?? base.input ?? readFloat('LLM_PRICE_INPUT_DEFAULT');
+  const output = readFloat(`LLM_PRICE_OUTPUT_${suffix}`) ?? base.output ?? readFloat('LLM_PRICE_OUTPUT_DEFAULT');
+  if (input === undefined || output === undefined) return null;
+  return { input, output };
+};
+
+/**
+ * Coût estimé d'un appel en USD à partir de l'usage retourné par le fournisseur
+ */
+const estimateCost = (model, usage) => {
+  const price = priceFor(model);
+  if (!price || !usage) return { costUsd: 0, priced: false };
+
+  const costUsd = ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+  return { costUsd, priced: true };
+};
+
+/**
+ * Prix effectifs des modèles connus (exposés par /api/usage/report)
+ */
+const describe = () => {
+  return Object.keys(DEFAULT_PRICES).reduce((acc, model) => {
+    acc[model] = priceFor(model);
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  priceFor,
+  estimateCost,
+  describe
+};
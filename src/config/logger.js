@@ -2,12 +2,17 @@
 // Configuration du logger Winston pour le service IA
 
 const winston = require('winston');
+const redaction = require('../services/redaction.service');
+
+// Jetons, clés d'API, mots de passe, emails et IP masqués avant tout transport (voir src/config/redaction.js)
+const redact = winston.format(info => redaction.redactLogRecord(info));
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redact(),
     winston.format.json()
   ),
   defaultMeta: { 
@@ -0,0 +1,599 @@
+// src/config/memory-cache.js
+// Cache en mémoire locale (repli de Redis) avec expiration TTL, éviction LRU et bornes mémoire
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Formate un nombre d'octets comme Redis (ex: 1.50M, 512.00K, 100B)
+ */
+const toHumanBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)}G`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)}M`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(2)}K`;
+  return `${bytes}B`;
+};
+
+/**
+ * Convertit un motif glob Redis en RegExp ancrée.
+ * Supporte `*`, `?`, les classes `[abc]`, `[^abc]`, `[a-z]` et l'échappement par `\\`.
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else if (char === '*') {
+      source += '[\\s\\S]*';
+    } else if (char === '?') {
+      source += '[\\s\\S]';
+    } else if (char === '[') {
+      const end = findClassEnd(pattern, i);
+      if (end === -1) {
+        // Crochet non fermé : traité comme un caractère littéral
+        source += '\\[';
+        continue;
+      }
+      source += translateClass(pattern.slice(i + 1, end));
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Échappe les caractères spéciaux d'un glob Redis pour une correspondance littérale
+ */
+const escapeGlob = (str) => String(str).replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * Partie littérale initiale d'un glob Redis (avant le premier `*`, `?` ou `[`), échappements résolus :
+ * toute clé correspondant au motif commence par ce préfixe
+ */
+const globPrefix = (pattern) => {
+  let prefix = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' || char === '?' || char === '[') break;
+    if (char === '\\' && i + 1 < pattern.length) i++;
+    prefix += pattern[i];
+  }
+  return prefix;
+};
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+
+const findClassEnd = (pattern, start) => {
+  for (let i = start + 1; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if (pattern[i] === ']') {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const translateClass = (body) => {
+  let negate = false;
+  let i = 0;
+  if (body[0] === '^') {
+    negate = true;
+    i = 1;
+  }
+
+  let members = '';
+  for (; i < body.length; i++) {
+    if (body[i] === '\\' && i + 1 < body.length) {
+      members += escapeRegExp(body[++i]);
+    } else if (body[i] === '-' && members && i + 1 < body.length) {
+      members += '-';
+    } else {
+      members += escapeRegExp(body[i]);
+    }
+  }
+
+  // Une classe vide ne correspond à rien (ou à tout caractère si elle est niée)
+  if (!members) return negate ? '[\\s\\S]' : '(?!)';
+  return `[${negate ? '^' : ''}${members}]`;
+};
+
+// Ensemble trié : membres et scores (un hash est une Map, les deux types restent distincts)
+class SortedSet {
+  constructor() {
+    this.scores = new Map();
+  }
+
+  // Membres par score croissant, à score égal par ordre lexicographique (comme Redis)
+  members() {
+    return [...this.scores].sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0)).map(([member]) => member);
+  }
+}
+
+class MemoryCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Nombre maximal de clés (0 = illimité)
+   * @param {number} options.maxBytes - Budget mémoire approximatif en octets (0 = illimité)
+   * @param {Function} [options.onEvict] - Appelée avec la clé évincée par la politique LRU
+   * @param {Object} [options.sequence] - Compteur `{ value }` partagé entre stores parcourus par un même curseur
+   */
+  constructor({ maxEntries = 0, maxBytes = 0, onEvict = null, sequence = { value: 0 } } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+
+    // L'ordre d'insertion d'une Map sert d'ordre LRU : la première clé est la moins récente
+    this.entries = new Map();
+    // Numéro de séquence attribué à l'écriture, stable malgré le réordonnancement LRU (curseur SCAN)
+    this.sequence = sequence;
+    this.usedBytes = 0;
+    this.peakBytes = 0;
+    this.evictedKeys = 0;
+    this.expiredKeys = 0;
+
+    // Purge périodique des clés expirées jamais relues
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  // === COMMANDES (même sous-ensemble que le client Redis) ===
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return null;
+    if (typeof entry.value !== 'string') {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    // Marque la clé comme la plus récemment utilisée
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async setEx(key, ttl, value) {
+    this.removeEntry(key);
+
+    const size = MemoryCache.entrySize(key, value);
+    if (this.maxBytes > 0 && size > this.maxBytes) {
+      // Une valeur plus grosse que le budget entier ne peut pas être stockée
+      return 'OK';
+    }
+
+    this.entries.set(key, {
+      value,
+      size,
+      seq: ++this.sequence.value,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null
+    });
+    this.usedBytes += size;
+    this.peakBytes = Math.max(this.peakBytes, this.usedBytes);
+
+    this.enforceBounds();
+    return 'OK';
+  }
+
+  /**
+   * Équivalent de SET avec les options du client Redis v5 utilisées par le service
+   * (`condition: 'NX'` et `expiration: { type: 'EX' | 'PX', value }`).
+   * Retourne 'OK', ou null si la condition NX n'est pas remplie.
+   */
+  async set(key, value, { condition, expiration } = {}) {
+    if (condition === 'NX' && this.getEntry(key)) {
+      return null;
+    }
+
+    let ttlSeconds = 0;
+    if (expiration && expiration.type === 'EX') ttlSeconds = expiration.value;
+    if (expiration && expiration.type === 'PX') ttlSeconds = expiration.value / 1000;
+    return this.setEx(key, ttlSeconds, value);
+  }
+
+  /**
+   * Supprime la clé seulement si elle contient encore la valeur attendue (libération de verrou)
+   */
+  async delIfValue(key, value) {
+    const entry = this.getEntry(key);
+    if (!entry || entry.value !== value) return 0;
+    return this.removeEntry(key) ? 1 : 0;
+  }
+
+  /**
+   * Compteur à fenêtre fixe (INCR, puis PEXPIRE à la création de la clé).
+   * Retourne `[compteur, millisecondes avant la fin de la fenêtre]`, comme le script côté Redis.
+   */
+  async incrWindow(key, windowMs) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      await this.setEx(key, windowMs / 1000, '1');
+      return [1, windowMs];
+    }
+    if (typeof entry.value !== 'string') {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    entry.value = String((parseInt(entry.value) || 0) + 1);
+    if (entry.expiresAt === null) entry.expiresAt = Date.now() + windowMs;
+    return [parseInt(entry.value), entry.expiresAt - Date.now()];
+  }
+
+  /**
+   * Décrémente un compteur existant (équivalent de DECR sur une clé présente)
+   */
+  async decr(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return 0;
+    if (typeof entry.value !== 'string') {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    entry.value = String((parseInt(entry.value) || 0) - 1);
+    return parseInt(entry.value);
+  }
+
+  /**
+   * Ajoute des membres à un ensemble (équivalent de SADD), retourne le nombre de nouveaux membres
+   */
+  async sAdd(key, members) {
+    const list = Array.isArray(members) ? members : [members];
+    const existing = this.getEntry(key);
+    const set = existing ? existing.value : new Set();
+
+    if (!(set instanceof Set)) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    const before = set.size;
+    list.forEach(member => set.add(String(member)));
+
+    if (existing) {
+      const size = MemoryCache.entrySize(key, set);
+      this.usedBytes += size - existing.size;
+      existing.size = size;
+    } else {
+      const size = MemoryCache.entrySize(key, set);
+      this.entries.set(key, { value: set, size, seq: ++this.sequence.value, expiresAt: null });
+      this.usedBytes += size;
+    }
+    this.peakBytes = Math.max(this.peakBytes, this.usedBytes);
+    this.enforceBounds();
+
+    return set.size - before;
+  }
+
+  async sMembers(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return [];
+    if (!(entry.value instanceof Set)) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return [...entry.value];
+  }
+
+  /**
+   * Incrémente un champ entier d'un hash (équivalent de HINCRBY), retourne la nouvelle valeur
+   */
+  async hIncrBy(key, field, increment) {
+    const existing = this.getEntry(key);
+    const hash = existing ? existing.value : new Map();
+
+    if (!(hash instanceof Map)) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    const value = (parseInt(hash.get(field)) || 0) + increment;
+    hash.set(field, String(value));
+
+    const size = MemoryCache.entrySize(key, hash);
+    if (existing) {
+      this.usedBytes += size - existing.size;
+      existing.size = size;
+    } else {
+      this.entries.set(key, { value: hash, size, seq: ++this.sequence.value, expiresAt: null });
+      this.usedBytes += size;
+    }
+    this.peakBytes = Math.max(this.peakBytes, this.usedBytes);
+    this.enforceBounds();
+
+    return value;
+  }
+
+  /**
+   * Champs et valeurs d'un hash (équivalent de HGETALL), objet vide si la clé n'existe pas
+   */
+  async hGetAll(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return {};
+    if (!(entry.value instanceof Map)) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return Object.fromEntries(entry.value);
+  }
+
+  /**
+   * Ajoute ou met à jour des membres d'un ensemble trié (équivalent de ZADD, `{ score, value }`
+   * ou tableau), retourne le nombre de nouveaux membres
+   */
+  async zAdd(key, members) {
+    const list = Array.isArray(members) ? members : [members];
+    const existing = this.getEntry(key);
+    const sorted = existing ? existing.value : new SortedSet();
+
+    if (!(sorted instanceof SortedSet)) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+
+    const before = sorted.scores.size;
+    list.forEach(({ score, value }) => sorted.scores.set(String(value), Number(score)));
+    this.storeSortedSet(key, existing, sorted);
+
+    return sorted.scores.size - before;
+  }
+
+  /**
+   * Membres d'un ensemble trié entre deux rangs inclus, négatifs depuis la fin (équivalent de
+   * ZRANGE ; `{ REV: true }` : scores décroissants)
+   */
+  async zRange(key, start, stop, { REV = false } = {}) {
+    const sorted = this.sortedSet(key);
+    if (!sorted) return [];
+
+    const members = sorted.members();
+    if (REV) members.reverse();
+    const from = start < 0 ? Math.max(members.length + start, 0) : start;
+    const to = stop < 0 ? members.length + stop : stop;
+    return members.slice(from, to + 1);
+  }
+
+  /**
+   * Retire des membres d'un ensemble trié (équivalent de ZREM), retourne le nombre retiré
+   */
+  async zRem(key, members) {
+    const sorted = this.sortedSet(key);
+    if (!sorted) return 0;
+
+    const removed = [].concat(members).filter(member => sorted.scores.delete(String(member))).length;
+    this.storeSortedSet(key, this.getEntry(key), sorted);
+    return removed;
+  }
+
+  /**
+   * Retire les membres dont le score est compris entre deux bornes incluses (équivalent de ZREMRANGEBYSCORE)
+   */
+  async zRemRangeByScore(key, min, max) {
+    const sorted = this.sortedSet(key);
+    if (!sorted) return 0;
+
+    const removed = [...sorted.scores].filter(([member, score]) => {
+      return score >= Number(min) && score <= Number(max) && sorted.scores.delete(member);
+    }).length;
+    this.storeSortedSet(key, this.getEntry(key), sorted);
+    return removed;
+  }
+
+  async expire(key, seconds) {
+    const entry = this.getEntry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  async del(key) {
+    if (Array.isArray(key)) {
+      let count = 0;
+      for (const k of key) {
+        if (this.removeEntry(k)) count++;
+      }
+      return count;
+    }
+    return this.removeEntry(key) ? 1 : 0;
+  }
+
+  async keys(pattern) {
+    const keys = [];
+    const regex = globToRegExp(pattern);
+    for (const key of [...this.entries.keys()]) {
+      if (this.getEntry(key) && regex.test(key)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Itération par curseur, même forme de réponse que SCAN dans le client Redis v5.
+   * Le curseur est le numéro de séquence de la dernière clé examinée ; '0' signale la fin.
+   * Comme avec Redis, COUNT borne le nombre de clés examinées, pas le nombre de résultats.
+   */
+  async scan(cursor, options = {}) {
+    return MemoryCache.scan([this], cursor, options);
+  }
+
+  /**
+   * SCAN sur plusieurs stores partageant le même compteur de séquence : un seul curseur les parcourt
+   */
+  static async scan(stores, cursor, { MATCH = '*', COUNT = 10 } = {}) {
+    const from = parseInt(cursor) || 0;
+    const regex = globToRegExp(MATCH);
+
+    const candidates = [];
+    for (const store of stores) {
+      for (const [key, entry] of store.entries) {
+        if (entry.seq > from) candidates.push({ store, key, seq: entry.seq });
+      }
+    }
+    candidates.sort((a, b) => a.seq - b.seq);
+
+    const batch = candidates.slice(0, Math.max(1, COUNT));
+    const keys = batch
+      .filter(({ store, key }) => store.getEntry(key) && regex.test(key))
+      .map(({ key }) => key);
+
+    const done = batch.length === candidates.length;
+    return {
+      cursor: done ? '0' : String(batch[batch.length - 1].seq),
+      keys
+    };
+  }
+
+  /**
+   * Même convention que Redis : -2 si la clé n'existe pas, -1 si elle n'expire pas
+   */
+  async ttl(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async memoryUsage(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.size : null;
+  }
+
+  async info() {
+    const rss = process.memoryUsage().rss;
+    return [
+      '# Memory',
+      `used_memory:${this.usedBytes}`,
+      `used_memory_human:${toHumanBytes(this.usedBytes)}`,
+      `used_memory_peak:${this.peakBytes}`,
+      `used_memory_peak_human:${toHumanBytes(this.peakBytes)}`,
+      `used_memory_rss:${rss}`,
+      `used_memory_rss_human:${toHumanBytes(rss)}`,
+      `maxmemory:${this.maxBytes}`,
+      `maxmemory_human:${toHumanBytes(this.maxBytes)}`,
+      'maxmemory_policy:allkeys-lru',
+      `keys:${this.entries.size}`,
+      `max_keys:${this.maxEntries}`,
+      `evicted_keys:${this.evictedKeys}`,
+      `expired_keys:${this.expiredKeys}`,
+      ''
+    ].join('\r\n');
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.usedBytes = 0;
+    return 'OK';
+  }
+
+  // === MÉTHODES UTILITAIRES ===
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    return {
+      keys: this.entries.size,
+      maxEntries: this.maxEntries,
+      usedBytes: this.usedBytes,
+      maxBytes: this.maxBytes,
+      peakBytes: this.peakBytes,
+      evictedKeys: this.evictedKeys,
+      expiredKeys: this.expiredKeys
+    };
+  }
+
+  /**
+   * Retourne l'entrée si elle existe et n'a pas expiré (expiration paresseuse)
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.removeEntry(key);
+      this.expiredKeys++;
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Ensemble trié d'une clé, null si elle n'existe pas
+   */
+  sortedSet(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return null;
+    if (!(entry.value instanceof SortedSet)) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry.value;
+  }
+
+  /**
+   * Enregistre un ensemble trié modifié en place : taille recalculée, clé supprimée une fois vide (comme Redis)
+   */
+  storeSortedSet(key, existing, value) {
+    if (value.scores.size === 0) {
+      this.removeEntry(key);
+      return;
+    }
+
+    const size = MemoryCache.entrySize(key, value);
+    if (existing) {
+      this.usedBytes += size - existing.size;
+      existing.size = size;
+    } else {
+      this.entries.set(key, { value, size, seq: ++this.sequence.value, expiresAt: null });
+      this.usedBytes += size;
+    }
+    this.peakBytes = Math.max(this.peakBytes, this.usedBytes);
+    this.enforceBounds();
+  }
+
+  removeEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.usedBytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Évince les clés les moins récemment utilisées tant que les bornes sont dépassées
+   */
+  enforceBounds() {
+    const overLimit = () =>
+      (this.maxEntries > 0 && this.entries.size > this.maxEntries) ||
+      (this.maxBytes > 0 && this.usedBytes > this.maxBytes);
+
+    while (overLimit() && this.entries.size > 0) {
+      const oldestKey = this.entries.keys().next().value;
+      this.removeEntry(oldestKey);
+      this.evictedKeys++;
+      if (this.onEvict) this.onEvict(oldestKey);
+    }
+  }
+
+  sweep() {
+    for (const key of [...this.entries.keys()]) {
+      this.getEntry(key);
+    }
+  }
+
+  /**
+   * Taille approximative d'une entrée : clé et valeur en UTF-8 plus un surcoût fixe
+   */
+  static entrySize(key, value) {
+    let content = String(value);
+    if (value instanceof Set) content = [...value].join('');
+    if (value instanceof Map) content = [...value].flat().join('');
+    if (value instanceof SortedSet) content = [...value.scores].flat().join('');
+    return Buffer.byteLength(key) + Buffer.byteLength(content) + 64;
+  }
+}
+
+module.exports = { MemoryCache, globToRegExp, escapeGlob, globPrefix };
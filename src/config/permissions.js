@@ -0,0 +1,124 @@
+// src/config/permissions.js
+// Modèle de permissions : permissions connues, permissions par rôle et exigences par route
+
+/**
+ * Combinateurs d'exigences : une exigence est une permission (chaîne), `allOf(...)` (ET) ou
+ * `anyOf(...)` (OU), imbriquables (ex: allOf('ai:ops:analyze', anyOf('a', 'b')))
+ */
+const allOf = (...requirements) => ({ allOf: requirements });
+const anyOf = (...requirements) => ({ anyOf: requirements });
+
+// Permissions connues, exposées par GET /api/me/capabilities
+const PERMISSIONS = {
+  'ai:dashboard:read': 'Consulter les modèles, valider et expliquer des dashboards',
+  'ai:dashboard:generate': 'Générer, optimiser et recommander des dashboards',
+  'ai:ops:analyze': "Analyses de l'assistant opérationnel (métriques, diagnostic, alertes, capacité)",
+  'ai:ops:chat': "Converser avec l'assistant et gérer ses sessions",
+  'ai:ops:tools:prometheus': "Outils de l'assistant : requêtes PromQL et analyses de performance",
+  'ai:ops:tools:alerts': "Outil de l'assistant : alertes actives",
+  'ai:ops:tools:health': "Outil de l'assistant : santé des services",
+  'ai:ops:tools:dashboard': "Outil de l'assistant : génération de dashboards",
+  'ai:tenants:all': "Outils de l'assistant sans restriction de tenant ni de services",
+  'ai:cache:read': 'Consulter les statistiques et les clés du cache IA',
+  'ai:cache:admin': 'Invalider et vider le cache IA',
+  'ai:usage:report': 'Rapport de consommation LLM de tous les utilisateurs',
+  'ai:quotas:admin': 'Consulter et modifier les quotas LLM des utilisateurs et des rôles'
+};
+
+/**
+ * Permissions par rôle. `*` accorde tout ; un suffixe `:*` accorde toutes les permissions du
+ * préfixe (ai:ops:* couvre ai:ops:chat et ai:ops:tools:prometheus). Surcharge ou ajout d'un rôle
+ * par variable d'environnement : PERMISSIONS_ROLE_<ROLE>=perm1,perm2 (ex: PERMISSIONS_ROLE_VIEWER).
+ * Les permissions portées par le jeton (`permissions`) s'ajoutent à celles des rôles. Pour un utilisateur
+ * transmis par un jeton de service, le tout est borné par les scopes du service (SCOPE_PERMISSIONS).
+ */
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  operator: ['ai:dashboard:*', 'ai:ops:*', 'ai:cache:read'],
+  user: [
+    'ai:dashboard:read',
+    'ai:dashboard:generate',
+    'ai:ops:analyze',
+    'ai:ops:chat',
+    'ai:ops:tools:prometheus',
+    'ai:ops:tools:alerts',
+    'ai:ops:tools:health'
+  ],
+  viewer: ['ai:dashboard:read']
+};
+
+/**
+ * Permissions accordées par les scopes d'un jeton de service (`<domaine>:<action>`, vocabulaire commun
+ * aux microservices). Un scope `ai:...` est directement une permission de ce service. Surcharge ou
+ * ajout par variable d'environnement : PERMISSIONS_SCOPE_<SCOPE>=perm1,perm2 (ex: PERMISSIONS_SCOPE_METRICS_READ).
+ */
+const SCOPE_PERMISSIONS = {
+  'dashboard:read': ['ai:dashboard:read'],
+  'dashboard:generate': ['ai:dashboard:read', 'ai:dashboard:generate'],
+  'metrics:read': ['ai:ops:tools:prometheus', 'ai:ops:tools:health'],
+  'alerts:read': ['ai:ops:tools:alerts'],
+  'ops:analyze': ['ai:ops:analyze'],
+  'ops:chat': ['ai:ops:chat'],
+  'cache:read': ['ai:cache:read'],
+  'cache:admin': ['ai:cache:read', 'ai:cache:admin'],
+  'usage:read': ['ai:usage:report']
+};
+
+/**
+ * Exigence de chaque action protégée, référencée par `authorize('<action>')` dans les routes
+ */
+const ROUTE_POLICIES = {
+  // Agent générateur de dashboards
+  'dashboard.generate': 'ai:dashboard:generate',
+  'dashboard.suggestLayout': 'ai:dashboard:generate',
+  'dashboard.optimize': 'ai:dashboard:generate',
+  'dashboard.suggestTemplates': 'ai:dashboard:generate',
+  'dashboard.recommendBlocks': 'ai:dashboard:generate',
+  'dashboard.validate': 'ai:dashboard:read',
+  'dashboard.explain': 'ai:dashboard:read',
+  'dashboard.templates': 'ai:dashboard:read',
+
+  // Assistant opérationnel
+  'ops.analyzeMetrics': 'ai:ops:analyze',
+  'ops.diagnoseIssue': 'ai:ops:analyze',
+  'ops.suggestAlerts': 'ai:ops:analyze',
+  'ops.capacityPlanning': 'ai:ops:analyze',
+  'ops.performanceAnalysis': 'ai:ops:analyze',
+  'ops.explainMetric': 'ai:ops:analyze',
+  'ops.quickStatus': 'ai:ops:analyze',
+  'ops.autoDiagnose': 'ai:ops:analyze',
+  'ops.performanceInsights': 'ai:ops:analyze',
+  'ops.smartDashboard': allOf('ai:ops:analyze', 'ai:dashboard:generate'),
+  'ops.chat': 'ai:ops:chat',
+  'ops.sessions': 'ai:ops:chat',
+
+  // Administration
+  'cache.read': anyOf('ai:cache:read', 'ai:cache:admin'),
+  'cache.admin': 'ai:cache:admin',
+  'usage.report': 'ai:usage:report',
+  'quotas.admin': 'ai:quotas:admin'
+};
+
+/**
+ * Exigence de chaque outil de l'assistant, vérifiée à chaque appel par l'agent runner
+ * (un outil absent de la table est refusé)
+ */
+const TOOL_POLICIES = {
+  prometheusQuery: 'ai:ops:tools:prometheus',
+  prometheusRangeQuery: 'ai:ops:tools:prometheus',
+  analyzePerformance: 'ai:ops:tools:prometheus',
+  getServiceHealth: 'ai:ops:tools:health',
+  getActiveAlerts: 'ai:ops:tools:alerts',
+  diagnoseIssue: allOf('ai:ops:tools:health', 'ai:ops:tools:alerts'),
+  generateDashboard: allOf('ai:ops:tools:dashboard', 'ai:dashboard:generate')
+};
+
+module.exports = {
+  allOf,
+  anyOf,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  SCOPE_PERMISSIONS,
+  ROUTE_POLICIES,
+  TOOL_POLICIES
+};
@@ -0,0 +1,32 @@
+// src/config/prompt-guard.js
+// Motifs d'injection de prompt recherchés dans les sorties d'outils et les messages du chat
+
+const TOOL_NAMES = [
+  'prometheusQuery', 'prometheusRangeQuery', 'getServiceHealth', 'getActiveAlerts',
+  'generateDashboard', 'analyzePerformance', 'diagnoseIssue'
+];
+
+/**
+ * Motifs par nom. Une sortie d'outil (description d'alerte, valeur de label) n'a aucune raison
+ * de s'adresser au modèle : la moindre correspondance rend le tour suspect.
+ */
+const INJECTION_PATTERNS = {
+  // "Ignore all previous instructions", « oublie tes consignes »
+  ignoreInstructions: /\b(ignore[rz]?|disregard|forget|override|bypass|oublie[rz]?|contourne[rz]?)\b[^.\n]{0,40}\b(instructions?|prompts?|rules|directives|guidelines|consignes|règles)\b/i,
+  roleOverride: /\b(you are now|from now on you|act as|pretend to be|new instructions|tu es maintenant|désormais tu|nouvelles instructions)\b/i,
+  systemPrompt: /\b(system prompt|prompt système|reveal your (instructions|prompt)|révèle tes instructions)\b/i,
+  // Balises de rôle ou délimiteurs imités pour sortir du contenu non fiable
+  chatMarkup: /(<\|im_(start|end)\|>|<\/?(system|assistant|untrusted_data)\b|\[\/?INST\]|^\s*(system|assistant|developer)\s*:)/im,
+  // Demande d'appeler un outil de l'assistant
+  toolDirective: new RegExp(`\\b(call|use|invoke|run|execute|appelle[rz]?|utilise[rz]?|exécute[rz]?)\\b[^.\\n]{0,30}\\b(${TOOL_NAMES.join('|')})\\b`, 'i'),
+  crossTenant: /\b((all|other|every)\s+(tenants?|customers?)|(tous les|autres?)\s+(tenants?|clients?)|tenant\s*(=~|!=|!~))/i,
+  exfiltration: /\b(send|post|upload|exfiltrate|forward|envoie[rz]?|transmets?)\b[^.\n]{0,40}(https?:\/\/|webhook)/i
+};
+
+// Arguments d'outils portant un nom de service, contrôlés après un contenu suspect
+const SERVICE_ARGUMENTS = ['service', 'affectedServices'];
+
+module.exports = {
+  INJECTION_PATTERNS,
+  SERVICE_ARGUMENTS
+};
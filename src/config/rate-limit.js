@@ -0,0 +1,52 @@
+// src/config/rate-limit.js
+// Politiques de limitation de débit par groupe de routes
+
+const { envName } = require('./cache-policy');
+
+const readInt = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+/**
+ * Politiques par défaut, en multiples de la limite globale (RATE_LIMIT_MAX_REQUESTS par
+ * RATE_LIMIT_WINDOW_MS). Chaque groupe est surchargeable par RATE_LIMIT_<GROUPE>_WINDOW_MS et
+ * RATE_LIMIT_<GROUPE>_MAX_REQUESTS (ex: RATE_LIMIT_OPS_ASSISTANT_MAX_REQUESTS).
+ */
+const POLICIES = {
+  dashboard: { factor: 1 },
+  'ops-assistant': { factor: 1 },
+  cache: { factor: 1 },
+  // Sondes de supervision et d'orchestration : appels fréquents et peu coûteux
+  health: { factor: 10 },
+  // Autres routes (consommation, quotas, informations du service)
+  default: { factor: 1 }
+};
+
+/**
+ * Fenêtre et nombre maximal de requêtes d'un groupe de routes
+ */
+const resolve = (group) => {
+  const name = POLICIES[group] ? group : 'default';
+  const suffix = envName(name);
+  const windowMs = readInt(`RATE_LIMIT_${suffix}_WINDOW_MS`) || readInt('RATE_LIMIT_WINDOW_MS') || 15 * 60 * 1000;
+  const baseMax = readInt('RATE_LIMIT_MAX_REQUESTS') || 100;
+  const max = readInt(`RATE_LIMIT_${suffix}_MAX_REQUESTS`) || baseMax * POLICIES[name].factor;
+
+  return { group: name, windowMs, max };
+};
+
+/**
+ * Politiques effectives de tous les groupes
+ */
+const describe = () => {
+  return Object.keys(POLICIES).reduce((acc, group) => {
+    acc[group] = resolve(group);
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  resolve,
+  describe
+};
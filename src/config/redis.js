@@ -1,71 +1,310 @@
 // src/config/redis.js
-// Configuration Redis pour le cache des réponses IA (mode mémoire)
+// Configuration Redis pour le cache des réponses IA (Redis avec repli en mémoire)
 
+const { createClient } = require('redis');
 const logger = require('./logger');
+const { MemoryCache, escapeGlob, globPrefix } = require('./memory-cache');
+const { cacheStats } = require('../services/cache-stats.service');
 
-// Cache en mémoire pour remplacer Redis temporairement
-const memoryCache = new Map();
+const REDIS_ENABLED = process.env.REDIS_ENABLED !== 'false' && process.env.USE_CACHE !== 'false';
+const REDIS_RECONNECT_MAX_DELAY = parseInt(process.env.REDIS_RECONNECT_MAX_DELAY) || 30000;
 
-// Client Redis simulé
-const redisClient = {
-  isOpen: true,
-  connect: async () => {
-    logger.info('✅ Mode cache mémoire activé (Redis désactivé)');
-    return true;
-  },
-  ping: async () => {
-    return 'PONG';
-  },
-  get: async (key) => {
-    return memoryCache.get(key);
-  },
-  setEx: async (key, ttl, value) => {
-    memoryCache.set(key, value);
-    return 'OK';
-  },
-  del: async (key) => {
-    if (Array.isArray(key)) {
+// Réponses IA, index de tags et verrous : reconstructibles, ils peuvent être évincés
+const CACHE_PREFIXES = ['ai:', 'ai-tag:', 'ai-lock:'];
+
+// Comptabilité et quotas : lorsque Redis est configuré, jamais servis depuis la mémoire
+// (les compteurs divergeraient entre réplicas et les écritures seraient perdues à la reconnexion)
+const DURABLE_PREFIXES = ['usage:', 'quota:', 'quota-override:'];
+
+// Séquence d'écriture commune aux deux stores mémoire : un curseur SCAN les parcourt ensemble
+const memorySequence = { value: 0 };
+
+// Cache en mémoire utilisé lorsque Redis est désactivé ou injoignable
+const memoryStore = new MemoryCache({
+  sequence: memorySequence,
+  maxEntries: parseInt(process.env.MEMORY_CACHE_MAX_ENTRIES) || 1000,
+  maxBytes: (parseInt(process.env.MEMORY_CACHE_MAX_MB) || 50) * 1024 * 1024,
+  onEvict: (key) => {
+    if (key.startsWith('ai:')) cacheStats.record('evictions', key);
+  }
+});
+
+// Autres données (sessions, compteurs, quotas sans Redis) : sans éviction, une rafale de
+// réponses IA ne doit pas effacer une session ou remettre un compteur à zéro
+const stateStore = new MemoryCache({ sequence: memorySequence });
+
+/**
+ * Store mémoire d'une clé
+ */
+const memoryFor = (key) => {
+  return CACHE_PREFIXES.some(prefix => String(key).startsWith(prefix)) ? memoryStore : stateStore;
+};
+
+/**
+ * Stores mémoire pouvant contenir des clés du motif : d'après sa partie littérale initiale,
+ * un motif générique (`*`, `a*`) couvre les deux
+ */
+const memoryStoresFor = (pattern) => {
+  const literal = globPrefix(String(pattern));
+  if (CACHE_PREFIXES.some(prefix => literal.startsWith(prefix))) return [memoryStore];
+  if (CACHE_PREFIXES.some(prefix => prefix.startsWith(literal))) return [memoryStore, stateStore];
+  return [stateStore];
+};
+
+const isDurable = (key) => DURABLE_PREFIXES.some(prefix => String(key).startsWith(prefix));
+
+// État de la connexion Redis, exposé aux contrôleurs de santé et de cache
+const status = {
+  enabled: REDIS_ENABLED,
+  state: REDIS_ENABLED ? 'connecting' : 'disabled',
+  host: process.env.REDIS_HOST || 'localhost',
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+  db: parseInt(process.env.REDIS_DB) || 0,
+  reconnectAttempts: 0,
+  lastError: null,
+  lastConnectedAt: null
+};
+
+let client = null;
+
+if (REDIS_ENABLED) {
+  client = createClient({
+    socket: {
+      host: status.host,
+      port: status.port,
+      connectTimeout: parseInt(process.env.REDIS_CONNECT_TIMEOUT) || 5000,
+      // Backoff exponentiel plafonné : Redis peut revenir à tout moment
+      reconnectStrategy: (retries) => Math.min(2 ** retries * 100, REDIS_RECONNECT_MAX_DELAY)
+    },
+    password: process.env.REDIS_PASSWORD || undefined,
+    database: status.db,
+    // Les commandes échouent immédiatement hors connexion, le repli mémoire prend le relais
+    disableOfflineQueue: true
+  });
+
+  client.on('ready', () => {
+    status.state = 'connected';
+    status.reconnectAttempts = 0;
+    status.lastError = null;
+    status.lastConnectedAt = new Date().toISOString();
+    logger.info(`✅ Redis connecté (${status.host}:${status.port}, db ${status.db})`);
+  });
+
+  client.on('reconnecting', () => {
+    status.state = 'reconnecting';
+    status.reconnectAttempts++;
+    if (status.reconnectAttempts === 1) {
+      logger.error('Redis indisponible, mode dégradé jusqu\'à la reconnexion : cache et sessions en mémoire, endpoints soumis aux quotas LLM refusés');
+    }
+  });
+
+  client.on('error', (error) => {
+    status.lastError = error.message;
+    // Évite d'inonder les logs pendant les tentatives de reconnexion
+    if (status.reconnectAttempts <= 1) {
+      logger.error('Erreur Redis:', { error: error.message });
+    }
+  });
+
+  client.on('end', () => {
+    status.state = 'disconnected';
+  });
+}
+
+const redisReady = () => !!(client && client.isReady);
+
+/**
+ * Commande refusée sur une donnée durable faute de Redis (503)
+ */
+const unavailableError = (command, cause = null) => {
+  const error = new Error(`Redis indisponible : ${command} refusé sur les données de comptabilité et de quotas${cause ? ` (${cause.message})` : ''}`);
+  error.code = 'REDIS_UNAVAILABLE';
+  error.statusCode = 503;
+  return error;
+};
+
+/**
+ * Exécute une commande sur Redis s'il est prêt, sinon (ou en cas d'échec) sur le store mémoire.
+ * Les commandes sur des données durables échouent au lieu de se replier sur la mémoire.
+ *
+ * @param {string} command - Commande (même nom côté client Redis et MemoryCache)
+ * @param {Array} args
+ * @param {Object} options
+ * @param {Function} options.fallback - Exécution sur le store mémoire
+ * @param {boolean} [options.durable]
+ */
+const execute = async (command, args, { fallback, durable = false }) => {
+  if (!redisReady()) {
+    if (durable && client) throw unavailableError(command);
+    return fallback();
+  }
+
+  try {
+    return await client[command](...args);
+  } catch (error) {
+    if (durable) throw unavailableError(command, error);
+    logger.warn(`Commande Redis ${command} en échec, repli sur le cache mémoire:`, { error: error.message });
+    return fallback();
+  }
+};
+
+/**
+ * Commande portant sur une clé (ou un motif) : store mémoire et durabilité déduits de son préfixe
+ */
+const keyed = (command) => (key, ...args) => execute(command, [key, ...args], {
+  fallback: () => memoryFor(key)[command](key, ...args),
+  durable: isDurable(key)
+});
+
+/**
+ * DEL sur plusieurs clés, réparties entre les deux stores mémoire
+ */
+const del = (keys) => {
+  const list = [].concat(keys);
+  return execute('del', [keys], {
+    fallback: async () => {
       let count = 0;
-      for (const k of key) {
-        if (memoryCache.delete(k)) count++;
+      for (const store of [memoryStore, stateStore]) {
+        const own = list.filter(key => memoryFor(key) === store);
+        if (own.length > 0) count += await store.del(own);
       }
       return count;
+    },
+    durable: list.some(isDurable)
+  });
+};
+
+const DEL_IF_VALUE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const INCR_WINDOW_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }`;
+
+// Client de cache : même interface que le client Redis, quel que soit le backend
+const redisClient = {
+  get isOpen() {
+    return redisReady() || !REDIS_ENABLED;
+  },
+  get mode() {
+    return redisReady() ? 'redis' : 'memory';
+  },
+  connect: async () => {
+    if (!REDIS_ENABLED) {
+      logger.info('✅ Mode cache mémoire activé (Redis désactivé)');
+      return true;
     }
-    return memoryCache.delete(key) ? 1 : 0;
-  },
-  keys: async (pattern) => {
-    const keys = [];
-    const regex = new RegExp(pattern.replace('*', '.*'));
-    for (const key of memoryCache.keys()) {
-      if (regex.test(key)) {
-        keys.push(key);
-      }
+
+    try {
+      await client.connect();
+      return true;
+    } catch (error) {
+      // La stratégie de reconnexion continue en arrière-plan
+      status.state = 'disconnected';
+      status.lastError = error.message;
+      logger.warn('Connexion Redis impossible, utilisation du cache mémoire:', { error: error.message });
+      return false;
     }
-    return keys;
-  },
-  ttl: async () => {
-    return -1; // Pas d'expiration en mode mémoire
   },
-  memory: async () => {
-    return '0'; // Pas de mesure de mémoire en mode mémoire
+  /**
+   * Attend que Redis soit prêt, au plus `timeoutMs` : résout true une fois connecté, false au-delà
+   * du délai ou si Redis est désactivé (la reconnexion continue en arrière-plan)
+   */
+  waitUntilReady: (timeoutMs) => new Promise((resolve) => {
+    if (!client || client.isReady) return resolve(redisReady());
+
+    const onReady = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      client.off('ready', onReady);
+      resolve(false);
+    }, timeoutMs);
+    client.once('ready', onReady);
+  }),
+  getStatus: () => {
+    return {
+      ...status,
+      mode: redisClient.mode,
+      memory: memoryStore.getStats(),
+      stateMemory: stateStore.getStats()
+    };
   },
-  info: async () => {
-    return 'used_memory_human:0\r\nused_memory_peak_human:0\r\nused_memory_rss_human:0\r\n';
+  ping: () => execute('ping', [], { fallback: () => memoryStore.ping() }),
+  get: keyed('get'),
+  set: keyed('set'),
+  setEx: keyed('setEx'),
+  // Suppression conditionnelle atomique (script Lua côté Redis)
+  delIfValue: (key, value) => execute('eval', [DEL_IF_VALUE_SCRIPT, { keys: [key], arguments: [value] }], {
+    fallback: () => memoryFor(key).delIfValue(key, value)
+  }),
+  // Compteur à fenêtre fixe atomique (limitation de débit) : retourne [compteur, ms restantes]
+  incrWindow: async (key, windowMs) => {
+    const reply = await execute('eval', [INCR_WINDOW_SCRIPT, { keys: [key], arguments: [String(windowMs)] }], {
+      fallback: () => memoryFor(key).incrWindow(key, windowMs)
+    });
+    return reply.map(Number);
   },
+  decr: keyed('decr'),
+  del,
+  keys: (pattern) => execute('keys', [pattern], {
+    fallback: async () => (await Promise.all(memoryStoresFor(pattern).map(store => store.keys(pattern)))).flat(),
+    durable: isDurable(pattern)
+  }),
+  sAdd: keyed('sAdd'),
+  sMembers: keyed('sMembers'),
+  zAdd: keyed('zAdd'),
+  zRange: keyed('zRange'),
+  zRem: keyed('zRem'),
+  zRemRangeByScore: keyed('zRemRangeByScore'),
+  hIncrBy: keyed('hIncrBy'),
+  hGetAll: keyed('hGetAll'),
+  expire: keyed('expire'),
+  // Le motif MATCH désigne les stores mémoire parcourus
+  scan: (cursor, options = {}) => execute('scan', [String(cursor), options], {
+    fallback: () => MemoryCache.scan(memoryStoresFor(options.MATCH || '*'), String(cursor), options),
+    durable: isDurable(options.MATCH || '')
+  }),
+  ttl: keyed('ttl'),
+  memory: (subcommand, key) => keyed('memoryUsage')(key),
+  info: (section) => execute('info', [section], { fallback: () => memoryStore.info(section) }),
   quit: async () => {
-    memoryCache.clear();
+    await memoryStore.clear();
+    await stateStore.clear();
+    if (client && client.isOpen) {
+      await client.close();
+    }
+    status.state = REDIS_ENABLED ? 'disconnected' : 'disabled';
     return 'OK';
   }
 };
 
+// Préfixe des index de tags : hors de `ai:*` pour ne pas être compté comme réponse IA
+const TAG_PREFIX = 'ai-tag:';
+
+// Préfixe des verrous de régénération (anti-stampede), eux aussi hors de `ai:*`
+const LOCK_PREFIX = 'ai-lock:';
+
+// Normalise un tag (ex: "Service:Auth-Service" -> "service:auth-service")
+const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
 // Fonctions utilitaires pour le cache IA
 const aiCache = {
-  // Génère une clé de cache basée sur le hash du prompt
-  generateCacheKey: (prompt, agentType) => {
+  // Génère une clé de cache basée sur le hash du prompt (et d'un éventuel complément, ex: tranche de temps)
+  generateCacheKey: (prompt, agentType, salt = '') => {
     const crypto = require('crypto');
     // S'assurer que prompt est une chaîne
     const promptStr = typeof prompt === 'string' ? prompt : JSON.stringify(prompt);
-    const hash = crypto.createHash('md5').update(promptStr).digest('hex');
+    const hash = crypto.createHash('md5').update(promptStr + salt).digest('hex');
     return `ai:${agentType}:${hash}`;
   },
 
@@ -73,45 +312,140 @@ const aiCache = {
   get: async (key) => {
     try {
       const cached = await redisClient.get(key);
+      cacheStats.record(cached ? 'hits' : 'misses', key);
       return cached ? JSON.parse(cached) : null;
     } catch (error) {
-      logger.error('Erreur lecture cache mémoire:', error);
+      logger.error('Erreur lecture cache:', error);
+      cacheStats.record('errors', key);
       return null;
     }
   },
 
-  // Stocke une réponse dans le cache avec TTL
-  set: async (key, data, ttlSeconds = 3600) => {
+  // Lit une entrée sans la comptabiliser dans les statistiques (attente d'un verrou)
+  peek: async (key) => {
+    try {
+      const cached = await redisClient.get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  // Prend le verrou de régénération d'une clé (SET NX PX), retourne le jeton ou null si déjà pris
+  acquireLock: async (key, ttlMs) => {
+    const token = require('crypto').randomUUID();
+    try {
+      const reply = await redisClient.set(`${LOCK_PREFIX}${key}`, token, {
+        condition: 'NX',
+        expiration: { type: 'PX', value: ttlMs }
+      });
+      return reply === 'OK' ? token : null;
+    } catch (error) {
+      logger.warn('Erreur prise de verrou cache:', { error: error.message });
+      // Sans verrou fiable, mieux vaut régénérer que bloquer la requête
+      return token;
+    }
+  },
+
+  // Libère le verrou seulement s'il nous appartient encore (il a pu expirer et être repris)
+  releaseLock: async (key, token) => {
+    try {
+      await redisClient.delIfValue(`${LOCK_PREFIX}${key}`, token);
+    } catch (error) {
+      logger.warn('Erreur libération de verrou cache:', { error: error.message });
+    }
+  },
+
+  // Stocke une réponse dans le cache avec TTL et tags optionnels (ex: ['service:auth-service'])
+  set: async (key, data, ttlSeconds = 3600, { tags = [] } = {}) => {
     try {
       await redisClient.setEx(key, ttlSeconds, JSON.stringify(data));
+      cacheStats.record('writes', key);
+
+      for (const tag of new Set(tags.map(normalizeTag).filter(Boolean))) {
+        const tagKey = `${TAG_PREFIX}${tag}`;
+        await redisClient.sAdd(tagKey, key);
+        // L'index vit au moins aussi longtemps que la plus longue entrée qu'il référence
+        if (await redisClient.ttl(tagKey) < ttlSeconds) {
+          await redisClient.expire(tagKey, ttlSeconds);
+        }
+      }
       return true;
     } catch (error) {
-      logger.error('Erreur écriture cache mémoire:', error);
+      logger.error('Erreur écriture cache:', error);
+      cacheStats.record('errors', key);
       return false;
     }
   },
 
+  // Liste toutes les clés correspondant au motif par itération SCAN (non bloquant côté Redis)
+  keys: async (pattern = 'ai:*', count = 500) => {
+    const keys = new Set();
+    let cursor = '0';
+    do {
+      const reply = await redisClient.scan(cursor, { MATCH: pattern, COUNT: count });
+      cursor = String(reply.cursor);
+      reply.keys.forEach(key => keys.add(key));
+    } while (cursor !== '0');
+    return [...keys];
+  },
+
   // Supprime une entrée du cache
   del: async (key) => {
     try {
       await redisClient.del(key);
       return true;
     } catch (error) {
-      logger.error('Erreur suppression cache mémoire:', error);
+      logger.error('Erreur suppression cache:', error);
       return false;
     }
   },
 
+  // Supprime toutes les clés correspondant au motif, retourne le nombre de clés supprimées
+  purgePattern: async (pattern) => {
+    const keys = await aiCache.keys(pattern);
+    return keys.length > 0 ? redisClient.del(keys) : 0;
+  },
+
+  // Supprime toutes les réponses d'un type d'agent (ex: 'dashboard', 'chat-42')
+  purgeAgent: async (agentType) => {
+    return aiCache.purgePattern(`ai:${escapeGlob(agentType)}:*`);
+  },
+
+  // Supprime les réponses des agents propres à un utilisateur (`<agent>-<userId>`) et celles taguées `user:<userId>`
+  purgeUser: async (userId) => {
+    const byAgent = await aiCache.purgePattern(`ai:*-${escapeGlob(userId)}:*`);
+    const byTag = await aiCache.purgeTag(`user:${userId}`);
+    return byAgent + byTag;
+  },
+
+  // Supprime toutes les réponses portant le tag, puis l'index du tag
+  purgeTag: async (tag) => {
+    const tagKey = `${TAG_PREFIX}${normalizeTag(tag)}`;
+    const keys = await redisClient.sMembers(tagKey);
+    const deleted = keys.length > 0 ? await redisClient.del(keys) : 0;
+    await redisClient.del(tagKey);
+    return deleted;
+  },
+
+  // Détecte les services référencés dans un texte (ex: job="auth-service") et retourne les tags correspondants
+  extractServiceTags: (text) => {
+    if (!text) return [];
+    const str = typeof text === 'string' ? text : JSON.stringify(text);
+    const services = str.toLowerCase().match(/\b[a-z0-9]+(?:-[a-z0-9]+)*-service\b/g) || [];
+    return [...new Set(services)].map(service => `service:${service}`);
+  },
+
   // Vide tout le cache IA
   flush: async () => {
     try {
-      const keys = await redisClient.keys('ai:*');
+      const keys = [...await aiCache.keys('ai:*'), ...await aiCache.keys(`${TAG_PREFIX}*`)];
       if (keys.length > 0) {
         await redisClient.del(keys);
       }
       return true;
     } catch (error) {
-      logger.error('Erreur vidage cache mémoire:', error);
+      logger.error('Erreur vidage cache:', error);
       return false;
     }
   }
@@ -122,4 +456,4 @@ const aiCache = {
   await redisClient.connect();
 })();
 
-module.exports = { redisClient, aiCache }; 
\ No newline at end of file
+module.exports = { redisClient, aiCache };
@@ -2,9 +2,28 @@
 // Contrôleur de gestion du cache pour le service IA
 
 const { redisClient, aiCache } = require('../config/redis');
+const { cacheStats } = require('../services/cache-stats.service');
+const cachePolicy = require('../config/cache-policy');
+const { globPrefix } = require('../config/memory-cache');
+const permissions = require('../services/permission.service');
 const logger = require('../config/logger');
 
+// Préfixes listables avec la seule permission ai:cache:read (réponses IA et index de tags) ; les autres
+// clés (sessions, compteurs, comptabilité, quotas) portent des identifiants d'utilisateurs et de sessions
+const READABLE_KEY_PREFIXES = ['ai:', 'ai-tag:'];
+
+// Taille des lots SCAN, indépendante de la taille de page : un curseur `<curseur SCAN>:<position>`
+// rejoue le même lot et reprend juste après la dernière clé renvoyée
+const KEYS_SCAN_COUNT = 100;
+const KEYS_SCAN_MAX_ITERATIONS = 10;
+
 class CacheController {
+  constructor() {
+    // Les méthodes sont passées telles quelles comme handlers Express
+    this.getStats = this.getStats.bind(this);
+    this.getKeys = this.getKeys.bind(this);
+  }
+
   /**
    * Statistiques du cache IA
    */
@@ -15,12 +34,14 @@ class CacheController {
       const hitRate = await this.calculateHitRate();
 
       const stats = {
+        backend: redisClient.getStatus(),
         keys: {
           total: keyCount.total,
           dashboard: keyCount.dashboard,
           opsAssistant: keyCount.opsAssistant
         },
         hitRate: hitRate,
+        policies: cachePolicy.describe(),
         memory: this.parseMemoryInfo(info),
         timestamp: new Date().toISOString()
       };
@@ -64,20 +85,53 @@ class CacheController {
   }
 
   /**
-   * Lister les clés du cache
+   * Lister les clés du cache (pagination par curseur, sémantique SCAN)
    */
   async getKeys(req, res, next) {
     try {
-      const { pattern, limit } = req.query;
+      const { pattern, cursor, count, limit } = req.query;
       const searchPattern = pattern || 'ai:*';
-      const maxKeys = parseInt(limit) || 100;
+      const pageSize = parseInt(count || limit) || 100;
+
+      const literal = globPrefix(searchPattern);
+      if (!READABLE_KEY_PREFIXES.some(prefix => literal.startsWith(prefix)) && !permissions.can(req.user, 'cache.admin')) {
+        logger.warn('Motif de clés refusé', { userId: req.user?.id, pattern: searchPattern });
+        return res.status(403).json({
+          success: false,
+          message: `Motif réservé aux administrateurs du cache : seules les clés ${READABLE_KEY_PREFIXES.map(prefix => `${prefix}*`).join(', ')} sont listables`,
+          code: 'FORBIDDEN',
+          required: permissions.describeRequirement(permissions.policyFor('cache.admin'))
+        });
+      }
 
-      const keys = await redisClient.keys(searchPattern);
-      const limitedKeys = keys.slice(0, maxKeys);
+      // SCAN peut renvoyer des lots vides avec un curseur non nul : on enchaîne quelques itérations
+      // pour remplir la page sans bloquer trop longtemps. Un lot qui dépasse la page est coupé et
+      // le curseur renvoyé désigne la position de la coupe dans ce lot.
+      const keys = [];
+      let [scanCursor, skip] = String(cursor || '0').split(':');
+      skip = parseInt(skip) || 0;
+      let nextCursor;
+      for (let iterations = 1; ; iterations++) {
+        const reply = await redisClient.scan(scanCursor, { MATCH: searchPattern, COUNT: KEYS_SCAN_COUNT });
+        const batch = reply.keys.slice(skip);
+        const room = pageSize - keys.length;
+        if (batch.length > room) {
+          keys.push(...batch.slice(0, room));
+          nextCursor = `${scanCursor}:${skip + room}`;
+          break;
+        }
+        keys.push(...batch);
+        skip = 0;
+        scanCursor = String(reply.cursor);
+        if (scanCursor === '0' || keys.length >= pageSize || iterations >= KEYS_SCAN_MAX_ITERATIONS) {
+          nextCursor = scanCursor;
+          break;
+        }
+      }
 
       // Récupération des informations détaillées pour chaque clé
       const keyDetails = await Promise.all(
-        limitedKeys.map(async (key) => {
+        keys.map(async (key) => {
           try {
             const ttl = await redisClient.ttl(key);
             const size = await redisClient.memory('usage', key);
@@ -103,8 +157,9 @@ class CacheController {
       res.json({
         success: true,
         keys: keyDetails,
-        totalFound: keys.length,
-        showing: limitedKeys.length,
+        showing: keyDetails.length,
+        cursor: nextCursor,
+        done: nextCursor === '0',
         pattern: searchPattern
       });
 
@@ -152,11 +207,80 @@ class CacheController {
     }
   }
 
+  /**
+   * Invalider toutes les réponses d'un type d'agent
+   */
+  async purgeAgent(req, res, next) {
+    try {
+      const { agentType } = req.params;
+      const deleted = await aiCache.purgeAgent(agentType);
+
+      logger.info('Cache IA invalidé par agent:', { agentType, deleted, user: req.user.id });
+      res.json({
+        success: true,
+        message: `Cache de l'agent ${agentType} invalidé`,
+        agentType,
+        deleted,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Erreur invalidation cache agent:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Invalider toutes les réponses liées à un utilisateur
+   */
+  async purgeUser(req, res, next) {
+    try {
+      const { userId } = req.params;
+      const deleted = await aiCache.purgeUser(userId);
+
+      logger.info('Cache IA invalidé par utilisateur:', { userId, deleted, user: req.user.id });
+      res.json({
+        success: true,
+        message: `Cache de l'utilisateur ${userId} invalidé`,
+        userId,
+        deleted,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Erreur invalidation cache utilisateur:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Invalider toutes les réponses portant un tag (ex: service:auth-service)
+   */
+  async purgeTag(req, res, next) {
+    try {
+      const { tag } = req.params;
+      const deleted = await aiCache.purgeTag(tag);
+
+      logger.info('Cache IA invalidé par tag:', { tag, deleted, user: req.user.id });
+      res.json({
+        success: true,
+        message: `Cache du tag ${tag} invalidé`,
+        tag,
+        deleted,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Erreur invalidation cache tag:', error);
+      next(error);
+    }
+  }
+
   // === MÉTHODES UTILITAIRES ===
 
   async getAIKeyCount() {
     try {
-      const allKeys = await redisClient.keys('ai:*');
+      const allKeys = await aiCache.keys('ai:*');
       const dashboardKeys = allKeys.filter(key => key.includes(':dashboard:'));
       const opsKeys = allKeys.filter(key => key.includes(':opsAssistant:'));
 
@@ -172,18 +296,11 @@ class CacheController {
   }
 
   async calculateHitRate() {
-    // Approximation du taux de hit basée sur les métriques Prometheus
-    // En réalité, il faudrait tracker cela dans Redis ou une autre base
+    // Compteurs propres à cette instance, sur fenêtres glissantes de 5m, 1h et 24h
     try {
-      // Pour l'instant, on retourne une valeur par défaut
-      // TODO: Implémenter un vrai tracking des hits/misses
-      return {
-        dashboard: 'N/A',
-        opsAssistant: 'N/A',
-        overall: 'N/A',
-        note: 'Tracking en cours de développement'
-      };
+      return cacheStats.getStats();
     } catch (error) {
+      logger.error('Erreur calcul taux de hit:', error);
       return {
         dashboard: 'error',
         opsAssistant: 'error',
@@ -203,6 +320,8 @@ class CacheController {
           if (key === 'used_memory_human') memory.used = value;
           if (key === 'used_memory_peak_human') memory.peak = value;
           if (key === 'used_memory_rss_human') memory.rss = value;
+          if (key === 'maxmemory_human') memory.max = value;
+          if (key === 'maxmemory_policy') memory.policy = value;
         }
       });
 
@@ -4,7 +4,9 @@
 const openAIService = require('../services/openai.service');
 const dashboardTemplates = require('../data/dashboard-templates');
 const logger = require('../config/logger');
+const { aiCache } = require('../config/redis');
 const { metrics } = require('../middlewares/metrics');
+const { ANONYMOUS_USER_ID } = require('../middlewares/requestContext');
 const axios = require('axios');
 
 const METRICS_SERVICE_URL = process.env.METRICS_SERVICE_URL || 'http://localhost:3003';
@@ -124,7 +126,7 @@ class DashboardController {
   async generateDashboard(req, res, next) {
     try {
       const { requirements, templateType, complexity, context } = req.body;
-      const userId = req.user?.id || 'anonymous-dev';
+      const userId = req.user?.id || ANONYMOUS_USER_ID;
 
       logger.info({
         message: 'Génération de dashboard demandée',
@@ -140,9 +142,15 @@ class DashboardController {
       // Options spécifiques pour la génération de dashboard
       // Utilise responseFormat car on veut du JSON structuré
       const options = {
+        ...req.cacheOptions,
         responseFormat: { type: 'json_object' },
         temperature: 0.3, // Plus créatif pour la génération
-        cacheTTL: 7200 // 2 heures de cache
+        // Permet d'invalider les générations par template, utilisateur ou service référencé
+        cacheTags: [
+          `template:${templateType || 'custom'}`,
+          `user:${userId}`,
+          ...aiCache.extractServiceTags(requirements)
+        ]
       };
 
       // Appel au service OpenAI
@@ -177,6 +185,8 @@ class DashboardController {
           templateType: templateType || 'custom',
           complexity: complexity || 'medium',
           cached: aiResponse.fallback ? false : !!aiResponse.cached,
+          stale: !!aiResponse.stale,
+          coalesced: !!aiResponse.coalesced,
           model: aiResponse.model,
           timestamp: aiResponse.timestamp
         }
@@ -223,8 +233,10 @@ Ta réponse doit être un objet JSON valide.`;
 
       // Utilise responseFormat car on veut du JSON structuré
       const aiResponse = await openAIService.callOpenAI(prompt, 'dashboard', {
+        ...req.cacheOptions,
         responseFormat: { type: 'json_object' },
-        temperature: 0.4
+        temperature: 0.4,
+        cachePolicy: 'dashboardLayout'
       });
 
       let layoutSuggestion;
@@ -257,7 +269,7 @@ Ta réponse doit être un objet JSON valide.`;
   async validateDashboard(req, res, next) {
     try {
       const { dashboardConfig } = req.body;
-      const userId = req.user?.id || 'anonymous-dev';
+      const userId = req.user?.id || ANONYMOUS_USER_ID;
 
       logger.info({
         message: 'Validation de dashboard demandée',
@@ -291,6 +303,7 @@ Ta réponse doit être un objet JSON valide.`;
 
       // Utilise responseFormat car on veut du JSON structuré
       const aiResponse = await openAIService.callOpenAI(prompt, 'dashboardValidation', {
+        ...req.cacheOptions,
         responseFormat: { type: 'json_object' },
         temperature: 0.2
       });
@@ -330,7 +343,7 @@ Ta réponse doit être un objet JSON valide.`;
   async optimizeDashboard(req, res, next) {
     try {
       const { currentDashboard, optimizationGoals } = req.body;
-      const userId = req.user?.id || 'anonymous-dev';
+      const userId = req.user?.id || ANONYMOUS_USER_ID;
 
       logger.info({
         message: 'Optimisation de dashboard demandée',
@@ -362,6 +375,7 @@ Ta réponse doit être un objet JSON valide.`;
 
       // Utilise responseFormat car on veut du JSON structuré
       const aiResponse = await openAIService.callOpenAI(prompt, 'dashboardOptimization', {
+        ...req.cacheOptions,
         responseFormat: { type: 'json_object' },
         temperature: 0.3
       });
@@ -396,7 +410,7 @@ Ta réponse doit être un objet JSON valide.`;
   async suggestTemplates(req, res, next) {
     try {
       const { useCase, complexity, preferences } = req.body;
-      const userId = req.user?.id || 'anonymous-dev';
+      const userId = req.user?.id || ANONYMOUS_USER_ID;
 
       logger.info({
         message: 'Suggestion de templates demandée',
@@ -437,6 +451,7 @@ Ta réponse doit être un objet JSON valide.`;
 
       // Utilise responseFormat car on veut du JSON structuré
       const aiResponse = await openAIService.callOpenAI(prompt, 'templateSuggestion', {
+        ...req.cacheOptions,
         responseFormat: { type: 'json_object' },
         temperature: 0.4
       });
@@ -469,7 +484,7 @@ Ta réponse doit être un objet JSON valide.`;
   async recommendBlocks(req, res, next) {
     try {
       const { dashboardPurpose, existingBlocks, focus } = req.body;
-      const userId = req.user?.id || 'anonymous-dev';
+      const userId = req.user?.id || ANONYMOUS_USER_ID;
 
       logger.info({
         message: 'Recommandation de blocs demandée',
@@ -511,6 +526,7 @@ Retourne ta réponse au format JSON avec la structure suivante:
 Ta réponse doit être un objet JSON valide.`;
 
       const aiResponse = await openAIService.callOpenAI(prompt, 'blockRecommendation', {
+        ...req.cacheOptions,
         responseFormat: { type: 'json_object' },
         temperature: 0.3
       });
@@ -591,7 +607,9 @@ Fournis une explication détaillée et accessible.`;
 
       // Pas de responseFormat ici car on veut du texte libre, pas du JSON
       const aiResponse = await openAIService.callOpenAI(prompt, 'dashboard', {
-        temperature: 0.5
+        ...req.cacheOptions,
+        temperature: 0.5,
+        cachePolicy: 'dashboardExplanation'
       });
 
       res.json({
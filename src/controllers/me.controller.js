@@ -0,0 +1,29 @@
+// src/controllers/me.controller.js
+// Contrôleur des informations sur l'utilisateur connecté
+
+const permissions = require('../services/permission.service');
+const { ANONYMOUS_USER_ID } = require('../middlewares/requestContext');
+const logger = require('../config/logger');
+
+class MeController {
+  /**
+   * Permissions et actions accessibles à l'utilisateur connecté
+   */
+  async getCapabilities(req, res, next) {
+    try {
+      const capabilities = permissions.capabilities(req.user);
+
+      res.json({
+        success: true,
+        userId: req.user?.id || ANONYMOUS_USER_ID,
+        ...capabilities
+      });
+
+    } catch (error) {
+      logger.error('Erreur récupération des capacités utilisateur:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new MeController();
@@ -0,0 +1,129 @@
+// src/controllers/quota.controller.js
+// Contrôleur de consultation et d'administration des quotas LLM
+
+const { quotaService } = require('../services/quota.service');
+const { ANONYMOUS_USER_ID } = require('../middlewares/requestContext');
+const logger = require('../config/logger');
+
+const parseRoles = (roles) => {
+  return roles ? roles.split(',').map(role => role.trim()).filter(Boolean) : [];
+};
+
+class QuotaController {
+  /**
+   * Quota de l'utilisateur connecté : limites, consommation et budget restant
+   */
+  async getMyQuota(req, res, next) {
+    try {
+      const quota = await quotaService.check(req.user?.id || ANONYMOUS_USER_ID, req.user?.roles || []);
+
+      res.json({
+        success: true,
+        quota,
+        currency: 'USD'
+      });
+
+    } catch (error) {
+      logger.error('Erreur récupération du quota utilisateur:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Limites par défaut et surcharges enregistrées
+   */
+  async getConfiguration(req, res, next) {
+    try {
+      const configuration = await quotaService.describe();
+
+      res.json({
+        success: true,
+        configuration,
+        currency: 'USD'
+      });
+
+    } catch (error) {
+      logger.error('Erreur récupération de la configuration des quotas:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Quota d'un utilisateur donné. Les rôles ne sont pas connus hors de son jeton :
+   * ils peuvent être passés en paramètre (`?roles=ops,admin`) pour calculer ses limites effectives.
+   */
+  async getUserQuota(req, res, next) {
+    try {
+      const quota = await quotaService.check(req.params.userId, parseRoles(req.query.roles));
+      const override = await quotaService.getOverride('user', req.params.userId);
+
+      res.json({
+        success: true,
+        quota,
+        override,
+        currency: 'USD'
+      });
+
+    } catch (error) {
+      logger.error('Erreur récupération du quota:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Définit les limites d'un utilisateur (`scope` user) ou d'un rôle (`scope` role)
+   */
+  setOverride(scope) {
+    return async (req, res, next) => {
+      try {
+        const id = scope === 'user' ? req.params.userId : req.params.role;
+        const override = await quotaService.setOverride(scope, id, req.body, req.user.id);
+
+        res.json({
+          success: true,
+          message: scope === 'user' ? 'Quota utilisateur mis à jour' : 'Quota du rôle mis à jour',
+          scope,
+          id,
+          override
+        });
+
+      } catch (error) {
+        logger.error('Erreur mise à jour du quota:', error);
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Supprime la surcharge : les limites héritées (rôle, défaut) s'appliquent de nouveau
+   */
+  deleteOverride(scope) {
+    return async (req, res, next) => {
+      try {
+        const id = scope === 'user' ? req.params.userId : req.params.role;
+        const deleted = await quotaService.deleteOverride(scope, id);
+
+        if (!deleted) {
+          return res.status(404).json({
+            success: false,
+            message: 'Aucune surcharge de quota pour cette cible'
+          });
+        }
+
+        logger.info(`Surcharge de quota ${scope} ${id} supprimée`, { user: req.user.id });
+        res.json({
+          success: true,
+          message: 'Surcharge de quota supprimée',
+          scope,
+          id
+        });
+
+      } catch (error) {
+        logger.error('Erreur suppression du quota:', error);
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = new QuotaController();
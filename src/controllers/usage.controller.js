@@ -0,0 +1,59 @@
+// src/controllers/usage.controller.js
+// Contrôleur de consultation de la consommation LLM (tokens et coûts estimés)
+
+const { usageLedger } = require('../services/usage-ledger.service');
+const { ANONYMOUS_USER_ID } = require('../middlewares/requestContext');
+const logger = require('../config/logger');
+
+class UsageController {
+  /**
+   * Consommation de l'utilisateur connecté
+   */
+  async getMyUsage(req, res, next) {
+    try {
+      const userId = req.user?.id || ANONYMOUS_USER_ID;
+      const usage = await usageLedger.getUserUsage(userId, {
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      res.json({
+        success: true,
+        usage,
+        currency: 'USD'
+      });
+
+    } catch (error) {
+      logger.error('Erreur récupération de la consommation utilisateur:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * Rapport de consommation tous utilisateurs (refacturation), regroupé par jour/utilisateur/agent
+   */
+  async getReport(req, res, next) {
+    try {
+      const groupBy = req.query.groupBy
+        ? req.query.groupBy.split(',').map(dimension => dimension.trim())
+        : undefined;
+      const report = await usageLedger.report({
+        from: req.query.from,
+        to: req.query.to,
+        groupBy
+      });
+
+      logger.info('Rapport de consommation LLM généré:', { user: req.user.id, from: report.from, to: report.to });
+      res.json({
+        success: true,
+        report
+      });
+
+    } catch (error) {
+      logger.error('Erreur génération du rapport de consommation:', error);
+      next(error);
+    }
+  }
+}
+
+module.exports = new UsageController();
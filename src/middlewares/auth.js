@@ -2,23 +2,59 @@
 // Middleware d'authentification JWT pour le service IA
 
 const jwt = require('jsonwebtoken');
-const jwksClient = require('jwks-rsa');
 const logger = require('../config/logger');
+const authConfig = require('../config/auth');
+const jwks = require('../services/jwks.service');
+const serviceTokens = require('../services/service-token.service');
+const redaction = require('../services/redaction.service');
+const permissions = require('../services/permission.service');
+const { setVerifiedToken, getVerifiedToken } = require('./requestContext');
+
+const verifyOptions = () => {
+  const { issuers, audiences, algorithms } = authConfig.resolve();
+  return {
+    algorithms,
+    issuer: issuers.map(entry => entry.issuer),
+    ...(audiences.length > 0 && { audience: audiences })
+  };
+};
 
-const client = jwksClient({
-  jwksUri: `${process.env.AUTH_SERVICE_URL}/api/v1/auth/jwks.json`
-});
-
-function getKey(header, callback){
-  client.getSigningKey(header.kid, function(err, key) {
-    if (err) {
-      logger.error('Erreur lors de la récupération de la clé de signature JWKS', { error: err });
+/**
+ * Vérifie un jeton utilisateur (RS256, clés JWKS de son émetteur, voir src/config/auth.js) ou un
+ * jeton de service (HS256, secret partagé JWT_SECRET). Le callback reçoit l'identité `{ user, service }`,
+ * `service` (nom et scopes du service appelant) n'étant renseigné que pour un jeton de service.
+ */
+const verifyToken = (token, callback) => {
+  if (serviceTokens.isServiceToken(token)) {
+    let principal;
+    try {
+      principal = serviceTokens.principal(serviceTokens.verify(token));
+    } catch (err) {
       return callback(err);
     }
-    const signingKey = key.publicKey || key.rsaPublicKey;
-    callback(null, signingKey);
-  });
-}
+    return callback(null, principal);
+  }
+
+  // La clé dépend de l'émetteur et du `kid` : lus avant vérification, puis vérifiés par jwt.verify
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+    return callback(new jwt.JsonWebTokenError('jwt malformed'));
+  }
+
+  jwks.getSigningKey(decoded.payload.iss, decoded.header.kid).then(
+    key => jwt.verify(token, key, verifyOptions(), (err, payload) => {
+      callback(err, err ? null : { user: payload, service: null });
+    }),
+    callback
+  );
+};
+
+const authenticate = (req, { user, service }) => {
+  req.user = user;
+  if (service) {
+    req.service = service;
+  }
+};
 
 const authMiddleware = (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -32,21 +68,17 @@ const authMiddleware = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, getKey, {
-    algorithms: ['RS256'],
-    issuer: process.env.AUTH_SERVICE_URL,
-    audience: process.env.FRONTEND_URL
-  }, (err, decoded) => {
+  const handleResult = (err, principal) => {
     if (err) {
       if (err.name === 'TokenExpiredError') {
-        logger.warn({ message: "Tentative d'accès avec un token expiré.", token, ip: req.ip });
+        logger.warn({ message: "Tentative d'accès avec un token expiré.", tokenFingerprint: redaction.fingerprint(token), ip: req.ip });
         return res.status(401).json({
           success: false,
           message: 'Le token a expiré.',
           code: 'TOKEN_EXPIRED',
         });
       }
-      logger.warn({ message: "Tentative d'accès avec un token invalide.", error: err.message, token, ip: req.ip });
+      logger.warn({ message: "Tentative d'accès avec un token invalide.", error: err.message, tokenFingerprint: redaction.fingerprint(token), ip: req.ip });
       return res.status(401).json({
         success: false,
         message: 'Token invalide.',
@@ -58,9 +90,16 @@ const authMiddleware = (req, res, next) => {
         }
       });
     }
-    req.user = decoded;
+    authenticate(req, principal);
     next();
-  });
+  };
+
+  // Jeton déjà vérifié par `identifyUser` pour cette requête : résultat réutilisé
+  const verified = getVerifiedToken(token);
+  if (verified) {
+    return handleResult(verified.error, verified.principal);
+  }
+  verifyToken(token, handleResult);
 };
 
 const optionalAuth = (req, res, next) => {
@@ -71,6 +110,25 @@ const optionalAuth = (req, res, next) => {
   authMiddleware(req, res, next);
 };
 
+// Identifie l'utilisateur sans jamais rejeter la requête (limitation de débit par utilisateur) :
+// un jeton absent ou invalide laisse `req.user` vide, l'authentification des routes tranche ensuite
+// à partir du résultat mémorisé dans le contexte de la requête
+const identifyUser = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  if (!token || req.user) {
+    return next();
+  }
+
+  verifyToken(token, (err, principal) => {
+    setVerifiedToken(token, { error: err || null, principal: err ? null : principal });
+    if (!err) {
+      authenticate(req, principal);
+    }
+    next();
+  });
+};
+
 // Middleware de vérification des rôles
 const requireRole = (requiredRoles) => {
   return (req, res, next) => {
@@ -107,9 +165,10 @@ const requirePermission = (requiredPermissions) => {
       });
     }
 
-    const userPermissions = req.user.permissions || [];
-    const hasPermission = requiredPermissions.some(permission => 
-      userPermissions.includes(permission)
+    // Permissions effectives (rôles compris, bornées par les scopes d'un service appelant)
+    const userPermissions = permissions.grantedPermissions(req.user);
+    const hasPermission = requiredPermissions.some(permission =>
+      permissions.hasPermission(userPermissions, permission)
     );
 
     if (!hasPermission) {
@@ -125,9 +184,39 @@ const requirePermission = (requiredPermissions) => {
   };
 };
 
+// Middleware d'autorisation d'une action de la table centrale (src/config/permissions.js),
+// à placer après l'authentification ; en développement, les requêtes anonymes reçoivent le rôle `viewer`
+const authorize = (action) => {
+  const requirement = permissions.policyFor(action);
+
+  return (req, res, next) => {
+    if (!req.user && process.env.NODE_ENV !== 'development') {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentification requise'
+      });
+    }
+
+    if (!permissions.evaluate(requirement, permissions.grantedPermissions(req.user))) {
+      logger.warn('Accès refusé', { userId: req.user?.id, action, route: req.originalUrl });
+      return res.status(403).json({
+        success: false,
+        message: 'Permissions insuffisantes',
+        code: 'FORBIDDEN',
+        action,
+        required: permissions.describeRequirement(requirement)
+      });
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authMiddleware,
   optionalAuth,
+  identifyUser,
   requireRole,
-  requirePermission
+  requirePermission,
+  authorize
 }; 
\ No newline at end of file
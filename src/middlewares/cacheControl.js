@@ -0,0 +1,26 @@
+// src/middlewares/cacheControl.js
+// Middleware d'interprétation des en-têtes Cache-Control / Pragma des clients
+
+/**
+ * Expose `req.cacheOptions` à transmettre à `callOpenAI` :
+ * - `no-cache` (ou `Pragma: no-cache`) : ignore le cache en lecture, la réponse fraîche le rafraîchit
+ * - `no-store` : ignore le cache en lecture et n'y écrit pas la réponse
+ */
+const cacheControl = (req, res, next) => {
+  const directives = (req.get('Cache-Control') || '')
+    .toLowerCase()
+    .split(',')
+    .map(directive => directive.trim());
+  const pragmaNoCache = (req.get('Pragma') || '').toLowerCase().includes('no-cache');
+
+  const noStore = directives.includes('no-store');
+  const noCache = noStore || pragmaNoCache || directives.includes('no-cache') || directives.includes('max-age=0');
+
+  req.cacheOptions = {
+    bypassCache: noCache,
+    noStore
+  };
+  next();
+};
+
+module.exports = cacheControl;
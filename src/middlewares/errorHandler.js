@@ -41,10 +41,13 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 503 };
   }
 
-  // Rate limit
+  // Rate limit (local ou du fournisseur LLM) : transmet le délai d'attente au client
   if (err.statusCode === 429) {
-    const message = 'Trop de requêtes, veuillez réessayer plus tard';
+    const message = err.message || 'Trop de requêtes, veuillez réessayer plus tard';
     error = { message, statusCode: 429 };
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
   }
 
   res.status(error.statusCode || 500).json({
@@ -23,6 +23,42 @@ const aiCacheHitRate = new promClient.Gauge({
   labelNames: ['agent_type']
 });
 
+const aiCacheOperations = new promClient.Counter({
+  name: 'ai_cache_operations_total',
+  help: 'Nombre total d\'opérations du cache IA (hits, misses, writes, evictions, errors)',
+  labelNames: ['agent_type', 'operation']
+});
+
+const llmRetries = new promClient.Counter({
+  name: 'ai_llm_retries_total',
+  help: 'Nombre total de nouvelles tentatives d\'appel aux fournisseurs LLM',
+  labelNames: ['provider', 'model', 'reason']
+});
+
+const circuitBreakerState = new promClient.Gauge({
+  name: 'ai_circuit_breaker_state',
+  help: 'État du disjoncteur par fournisseur/modèle (0 = fermé, 1 = semi-ouvert, 2 = ouvert)',
+  labelNames: ['provider', 'model']
+});
+
+const circuitBreakerTransitions = new promClient.Counter({
+  name: 'ai_circuit_breaker_transitions_total',
+  help: 'Nombre total de changements d\'état des disjoncteurs',
+  labelNames: ['provider', 'model', 'state']
+});
+
+const llmTokens = new promClient.Counter({
+  name: 'ai_llm_tokens_total',
+  help: 'Nombre total de tokens consommés auprès des fournisseurs LLM',
+  labelNames: ['agent_type', 'route', 'model', 'type']
+});
+
+const llmCost = new promClient.Counter({
+  name: 'ai_llm_cost_usd_total',
+  help: 'Coût estimé des appels LLM en USD (table de prix par modèle)',
+  labelNames: ['agent_type', 'route', 'model']
+});
+
 const dashboardGenerations = new promClient.Counter({
   name: 'dashboard_generations_total',
   help: 'Nombre total de dashboards générés',
@@ -48,7 +84,30 @@ const metrics = {
   updateCacheHitRate: (agentType, hitRate) => {
     aiCacheHitRate.labels(agentType).set(hitRate);
   },
+
+  recordCacheOperation: (agentType, operation) => {
+    aiCacheOperations.labels(agentType, operation).inc();
+  },
   
+  recordLLMRetry: (provider, model, reason) => {
+    llmRetries.labels(provider, model, reason).inc();
+  },
+
+  updateCircuitBreakerState: (provider, model, state) => {
+    const values = { closed: 0, half_open: 1, open: 2 };
+    circuitBreakerState.labels(provider, model).set(values[state]);
+  },
+
+  recordCircuitBreakerTransition: (provider, model, state) => {
+    circuitBreakerTransitions.labels(provider, model, state).inc();
+  },
+
+  recordLLMUsage: (agentType, route, model, usage, costUsd) => {
+    llmTokens.labels(agentType, route, model, 'prompt').inc(usage.prompt_tokens || 0);
+    llmTokens.labels(agentType, route, model, 'completion').inc(usage.completion_tokens || 0);
+    llmCost.labels(agentType, route, model).inc(costUsd);
+  },
+
   recordDashboardGeneration: (status, templateUsed = 'custom') => {
     dashboardGenerations.labels(status, templateUsed).inc();
   },
@@ -0,0 +1,83 @@
+// src/middlewares/quota.js
+// Application des quotas de consommation LLM avant les endpoints qui appellent l'IA
+
+const { quotaService } = require('../services/quota.service');
+const { ANONYMOUS_USER_ID } = require('./requestContext');
+const logger = require('../config/logger');
+
+// Quotas illisibles faute de Redis : la requête est refusée (503), sauf QUOTA_FAIL_OPEN=true
+const FAIL_OPEN = process.env.QUOTA_FAIL_OPEN === 'true';
+const UNAVAILABLE_RETRY_AFTER_SECONDS = 30;
+
+const HEADER_METRICS = { tokens: 'Tokens', costUsd: 'Cost' };
+const HEADER_PERIODS = { daily: 'Daily', monthly: 'Monthly' };
+
+/**
+ * En-têtes de budget restant pour chaque limite définie (le coût est exprimé en USD) :
+ * X-Quota-<Daily|Monthly>-<Tokens|Cost>-Limit / -Remaining, et X-Quota-<Daily|Monthly>-Reset
+ */
+const setQuotaHeaders = (res, status) => {
+  for (const [period, periodName] of Object.entries(HEADER_PERIODS)) {
+    let limited = false;
+    for (const [metric, metricName] of Object.entries(HEADER_METRICS)) {
+      const limit = status.limits[period][metric];
+      if (limit === null) continue;
+      limited = true;
+      res.set(`X-Quota-${periodName}-${metricName}-Limit`, String(limit));
+      res.set(`X-Quota-${periodName}-${metricName}-Remaining`, String(status.remaining[period][metric]));
+    }
+    if (limited) {
+      res.set(`X-Quota-${periodName}-Reset`, status.resetAt[period]);
+    }
+  }
+};
+
+/**
+ * Refuse la requête (429) si l'utilisateur a épuisé l'un de ses budgets journaliers ou mensuels.
+ * À placer après l'authentification : les limites dépendent de `req.user.id` et `req.user.roles`.
+ * Redis injoignable, ni les quotas ni la consommation ne sont disponibles : refus en 503, la
+ * dépense LLM ne pouvant être ni plafonnée ni comptée.
+ */
+const enforceQuota = async (req, res, next) => {
+  const userId = req.user?.id || ANONYMOUS_USER_ID;
+
+  let status;
+  try {
+    status = await quotaService.check(userId, req.user?.roles || []);
+  } catch (error) {
+    logger.error('Erreur vérification des quotas:', { error: error.message, userId });
+    if (error.code !== 'REDIS_UNAVAILABLE' || FAIL_OPEN) {
+      // Erreur inattendue, ou repli explicitement accepté : la requête passe plutôt que de bloquer tout le service
+      return next();
+    }
+    res.set('Retry-After', String(UNAVAILABLE_RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+      success: false,
+      message: 'Quotas LLM indisponibles (Redis injoignable), réessayez plus tard',
+      code: 'QUOTA_UNAVAILABLE',
+      retryAfter: UNAVAILABLE_RETRY_AFTER_SECONDS
+    });
+  }
+
+  setQuotaHeaders(res, status);
+  if (status.allowed) {
+    return next();
+  }
+
+  // Le budget qui se libère le plus tard détermine l'attente
+  const blocking = status.exceeded.reduce((latest, entry) => (entry.resetAt > latest.resetAt ? entry : latest));
+  const retryAfter = Math.max(1, Math.ceil((Date.parse(blocking.resetAt) - Date.now()) / 1000));
+
+  logger.warn('Quota LLM dépassé', { userId, exceeded: status.exceeded, route: req.originalUrl });
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Quota ${blocking.period === 'daily' ? 'journalier' : 'mensuel'} ${blocking.metric === 'tokens' ? 'de tokens' : 'de coût'} dépassé`,
+    code: 'QUOTA_EXCEEDED',
+    exceeded: status.exceeded,
+    remaining: status.remaining,
+    retryAfter
+  });
+};
+
+module.exports = { enforceQuota, setQuotaHeaders };
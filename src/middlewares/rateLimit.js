@@ -0,0 +1,81 @@
+// src/middlewares/rateLimit.js
+// Limitation de débit par groupe de routes, par utilisateur (ou par IP en l'absence de jeton)
+
+const rateLimit = require('express-rate-limit');
+const { redisClient } = require('../config/redis');
+const rateLimitPolicy = require('../config/rate-limit');
+const logger = require('../config/logger');
+
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+
+/**
+ * Store express-rate-limit sur le client de cache : compteurs partagés entre les réplicas
+ * quand Redis est actif, repli mémoire sinon (fenêtre fixe, clé `ratelimit:<groupe>:<client>`)
+ */
+class CacheRateLimitStore {
+  constructor(group) {
+    this.prefix = `${RATE_LIMIT_PREFIX}${group}:`;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const [totalHits, ttlMs] = await redisClient.incrWindow(`${this.prefix}${key}`, this.windowMs);
+    return {
+      totalHits,
+      resetTime: new Date(Date.now() + ttlMs)
+    };
+  }
+
+  async decrement(key) {
+    await redisClient.decr(`${this.prefix}${key}`);
+  }
+
+  async resetKey(key) {
+    await redisClient.del(`${this.prefix}${key}`);
+  }
+}
+
+/**
+ * Clé du client : l'utilisateur authentifié, sinon l'IP
+ */
+const clientKey = (req) => {
+  return req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+};
+
+/**
+ * Middleware de limitation pour un groupe de routes (voir src/config/rate-limit.js).
+ * Nécessite `identifyUser` en amont pour compter par utilisateur.
+ */
+const rateLimitFor = (group) => {
+  const policy = rateLimitPolicy.resolve(group);
+
+  return rateLimit({
+    windowMs: policy.windowMs,
+    limit: policy.max,
+    // En-têtes RateLimit-Limit / -Remaining / -Reset / -Policy (et Retry-After sur 429)
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    store: new CacheRateLimitStore(policy.group),
+    keyGenerator: clientKey,
+    // Compteurs indisponibles : la requête passe plutôt que de bloquer tout le service
+    passOnStoreError: true,
+    handler: (req, res, next, options) => {
+      const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+      logger.warn('Limite de débit atteinte', { group: policy.group, client: clientKey(req), route: req.originalUrl });
+      res.status(options.statusCode).json({
+        success: false,
+        message: 'Trop de requêtes, veuillez réessayer plus tard.',
+        code: 'RATE_LIMITED',
+        limit: policy.max,
+        windowMs: policy.windowMs,
+        retryAfter
+      });
+    }
+  });
+};
+
+module.exports = { rateLimitFor, CacheRateLimitStore };
@@ -0,0 +1,36 @@
+// src/middlewares/redaction.js
+// Rapport des données sensibles masquées pendant la requête (logs et prompts LLM)
+
+const logger = require('../config/logger');
+const redaction = require('../services/redaction.service');
+const { ANONYMOUS_USER_ID } = require('./requestContext');
+
+/**
+ * Expose le rapport de masquage dans l'en-tête X-Redactions (si les en-têtes ne sont pas déjà
+ * partis, comme pour le chat en streaming) et le journalise à la fin de la requête.
+ * Doit être monté après requestContext.
+ */
+const redactionReport = (req, res, next) => {
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    const header = redaction.formatReport(redaction.report(req));
+    if (header) res.setHeader('X-Redactions', header);
+    return writeHead.apply(this, args);
+  };
+
+  res.on('finish', () => {
+    const report = redaction.report(req);
+    if (Object.keys(report).length > 0) {
+      logger.info('Données sensibles masquées pendant la requête', {
+        method: req.method,
+        url: req.originalUrl,
+        userId: req.user?.id || ANONYMOUS_USER_ID,
+        redactions: report
+      });
+    }
+  });
+
+  next();
+};
+
+module.exports = { redactionReport };
@@ -0,0 +1,87 @@
+// src/middlewares/requestContext.js
+// Contexte de la requête en cours, accessible depuis les services sans le transmettre explicitement
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Identifiant des requêtes sans utilisateur (développement) : le même pour l'attribution de la
+// consommation, les quotas, le cache et les sessions, sans quoi le quota vérifié ne serait jamais incrémenté
+const ANONYMOUS_USER_ID = 'anonymous-dev';
+
+/**
+ * Rattache la requête Express à toute la chaîne asynchrone qui la traite
+ * (contrôleurs, services, appels LLM déclenchés en arrière-plan)
+ */
+const requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+/**
+ * Requête en cours, ou null hors d'une requête HTTP (tâches de fond, scripts)
+ */
+const getCurrentRequest = () => {
+  const store = storage.getStore();
+  return store ? store.req : null;
+};
+
+/**
+ * Utilisateur et route de la requête en cours, pour l'attribution des appels LLM.
+ * La route est le motif Express (/api/ops-assistant/sessions/:id) pour limiter la cardinalité.
+ */
+const getRequestAttribution = () => {
+  const req = getCurrentRequest();
+  if (!req) return { userId: 'system', route: 'internal' };
+
+  return {
+    userId: (req.user && req.user.id) || ANONYMOUS_USER_ID,
+    route: req.route ? `${req.baseUrl}${req.route.path}` : `${req.baseUrl || ''}${req.path}`
+  };
+};
+
+/**
+ * Exécute `task` avec un signal d'annulation attaché à sa chaîne asynchrone : les appels vers les
+ * autres services qu'elle déclenche (service-client) sont interrompus lorsqu'il est levé
+ */
+const runWithSignal = (signal, task) => {
+  return storage.run({ ...storage.getStore(), signal }, task);
+};
+
+/**
+ * Signal d'annulation de la tâche en cours (runWithSignal), ou null
+ */
+const getCurrentSignal = () => {
+  const store = storage.getStore();
+  return (store && store.signal) || null;
+};
+
+/**
+ * Mémorise le résultat de la vérification du jeton de la requête en cours (`identifyUser`),
+ * pour que `authMiddleware` ne vérifie pas une seconde fois le même jeton
+ *
+ * @param {string} token
+ * @param {{ error: Error|null, principal: Object|null }} result
+ */
+const setVerifiedToken = (token, result) => {
+  const store = storage.getStore();
+  if (store) store.auth = { token, ...result };
+};
+
+/**
+ * Résultat mémorisé pour ce jeton, ou null s'il n'a pas encore été vérifié dans cette requête
+ */
+const getVerifiedToken = (token) => {
+  const store = storage.getStore();
+  return store && store.auth && store.auth.token === token ? store.auth : null;
+};
+
+module.exports = {
+  ANONYMOUS_USER_ID,
+  requestContext,
+  getCurrentRequest,
+  getRequestAttribution,
+  runWithSignal,
+  getCurrentSignal,
+  setVerifiedToken,
+  getVerifiedToken
+};
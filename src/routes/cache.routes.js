@@ -4,7 +4,7 @@
 const express = require('express');
 const { query, validationResult, param } = require('express-validator');
 const CacheController = require('../controllers/cache.controller');
-const { authMiddleware, requireRole } = require('../middlewares/auth');
+const { authMiddleware, authorize } = require('../middlewares/auth');
 
 const router = express.Router();
 
@@ -21,7 +21,8 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-const adminOnly = [authMiddleware, requireRole(['admin'])];
+const canRead = [authMiddleware, authorize('cache.read')];
+const canAdmin = [authMiddleware, authorize('cache.admin')];
 
 /**
  * @swagger
@@ -31,7 +32,7 @@ const adminOnly = [authMiddleware, requireRole(['admin'])];
  *     tags: [Cache]
  *     security:
  *       - UserAuth: []
- *     description: "Retourne des statistiques d'utilisation du cache Redis, comme le nombre de clés, le taux de succès (hit rate) et l'utilisation de la mémoire. Nécessite des droits d'administrateur."
+ *     description: "Retourne des statistiques d'utilisation du cache Redis, comme le nombre de clés, le taux de succès (hit rate) et l'utilisation de la mémoire. Nécessite la permission `ai:cache:read`."
  *     responses:
  *       200:
  *         description: Statistiques du cache récupérées avec succès.
@@ -45,7 +46,7 @@ const adminOnly = [authMiddleware, requireRole(['admin'])];
  *         description: Permissions insuffisantes.
  */
 router.get('/stats',
-  ...adminOnly,
+  ...canRead,
   CacheController.getStats
 );
 
@@ -57,7 +58,7 @@ router.get('/stats',
  *     tags: [Cache]
  *     security:
  *       - UserAuth: []
- *     description: "Supprime toutes les clés du cache Redis pour la base de données configurée. Opération destructive. Nécessite des droits d'administrateur."
+ *     description: "Supprime toutes les clés du cache Redis pour la base de données configurée. Opération destructive. Nécessite la permission `ai:cache:admin`."
  *     responses:
  *       200:
  *         description: Cache vidé avec succès.
@@ -78,7 +79,7 @@ router.get('/stats',
  *         description: Permissions insuffisantes.
  */
 router.delete('/flush',
-  ...adminOnly,
+  ...canAdmin,
   [
     query('confirm')
       .equals('true')
@@ -96,35 +97,49 @@ router.delete('/flush',
  *     tags: [Cache]
  *     security:
  *       - UserAuth: []
- *     description: "Récupère une liste paginée de toutes les clés actuellement dans le cache Redis. Nécessite des droits d'administrateur."
+ *     description: "Récupère une liste paginée (sémantique SCAN) des clés actuellement dans le cache. Répéter l'appel avec le curseur renvoyé jusqu'à obtenir `cursor: \"0\"`. Nécessite la permission `ai:cache:read` ; un motif hors des réponses IA (`ai:*`) et des index de tags (`ai-tag:*`) nécessite `ai:cache:admin`."
  *     parameters:
  *       - in: query
+ *         name: pattern
+ *         schema:
+ *           type: string
+ *           default: "ai:*"
+ *         description: "Motif glob compatible Redis (`*`, `?`, `[abc]`, échappement par `\\`). Sans `ai:cache:admin`, il doit commencer par `ai:` ou `ai-tag:`."
+ *       - in: query
  *         name: cursor
  *         schema:
- *           type: integer
- *           default: 0
- *         description: "Le curseur pour la pagination (obtenu depuis la réponse précédente)."
+ *           type: string
+ *           default: "0"
+ *         description: "Le curseur pour la pagination, tel que renvoyé par la page précédente (curseur SCAN, suivi de `:<position>` lorsque la page s'est arrêtée au milieu d'un lot)."
  *       - in: query
  *         name: count
  *         schema:
  *           type: integer
  *           default: 100
- *         description: "Le nombre de clés à retourner par page."
+ *         description: "Le nombre maximal de clés par page. Une page peut en contenir moins sans que le parcours soit terminé (`done`)."
  *     responses:
  *       200:
- *         description: Liste de clés récupérée.
+ *         description: Page de clés récupérée, avec le curseur de la page suivante.
  *       401:
  *         description: Non autorisé.
  *       403:
- *         description: Permissions insuffisantes.
+ *         description: Permissions insuffisantes, ou motif réservé à `ai:cache:admin`.
  */
 router.get('/keys',
-  ...adminOnly,
+  ...canRead,
   [
     query('pattern')
       .optional()
       .isLength({ min: 1 })
       .withMessage('Pattern de recherche invalide'),
+    query('cursor')
+      .optional()
+      .matches(/^\d+(:\d+)?$/)
+      .withMessage('Curseur invalide'),
+    query('count')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Nombre de clés entre 1 et 1000'),
     query('limit')
       .optional()
       .isInt({ min: 1, max: 1000 })
@@ -142,7 +157,7 @@ router.get('/keys',
  *     tags: [Cache]
  *     security:
  *       - UserAuth: []
- *     description: "Supprime une clé unique du cache Redis. Nécessite des droits d'administrateur."
+ *     description: "Supprime une clé unique du cache Redis. Nécessite la permission `ai:cache:admin`."
  *     parameters:
  *       - in: path
  *         name: key
@@ -161,7 +176,7 @@ router.get('/keys',
  *         description: Clé non trouvée.
  */
 router.delete('/keys/:key',
-  ...adminOnly,
+  ...canAdmin,
   [
     param('key').notEmpty().withMessage('La clé est requise.')
   ],
@@ -169,4 +184,104 @@ router.delete('/keys/:key',
   CacheController.deleteKey
 );
 
+/**
+ * @swagger
+ * /api/cache/agents/{agentType}:
+ *   delete:
+ *     summary: Invalider le cache d'un type d'agent
+ *     tags: [Cache]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Supprime toutes les réponses mises en cache pour un type d'agent (ex: `dashboard`, `templateSuggestion`, `chat-42`). Nécessite la permission `ai:cache:admin`."
+ *     parameters:
+ *       - in: path
+ *         name: agentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: "Le type d'agent tel qu'utilisé dans les clés `ai:<agentType>:<hash>`."
+ *     responses:
+ *       200:
+ *         description: Cache de l'agent invalidé, avec le nombre de clés supprimées.
+ *       401:
+ *         description: Non autorisé.
+ *       403:
+ *         description: Permissions insuffisantes.
+ */
+router.delete('/agents/:agentType',
+  ...canAdmin,
+  [
+    param('agentType')
+      .matches(/^[\w.-]+$/)
+      .withMessage('Type d\'agent invalide')
+  ],
+  handleValidationErrors,
+  CacheController.purgeAgent
+);
+
+/**
+ * @swagger
+ * /api/cache/users/{userId}:
+ *   delete:
+ *     summary: Invalider le cache d'un utilisateur
+ *     tags: [Cache]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Supprime les réponses des agents propres à l'utilisateur (`chat-<userId>`, `quick-status-<userId>`, ...) ainsi que celles taguées `user:<userId>`. Nécessite la permission `ai:cache:admin`."
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cache de l'utilisateur invalidé, avec le nombre de clés supprimées.
+ *       401:
+ *         description: Non autorisé.
+ *       403:
+ *         description: Permissions insuffisantes.
+ */
+router.delete('/users/:userId',
+  ...canAdmin,
+  [
+    param('userId').notEmpty().withMessage('L\'identifiant utilisateur est requis.')
+  ],
+  handleValidationErrors,
+  CacheController.purgeUser
+);
+
+/**
+ * @swagger
+ * /api/cache/tags/{tag}:
+ *   delete:
+ *     summary: Invalider le cache par tag
+ *     tags: [Cache]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Supprime toutes les réponses portant le tag, par exemple `service:auth-service` pour toutes les générations ayant référencé ce service, ou `template:infrastructure`. Nécessite la permission `ai:cache:admin`."
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: "Le tag au format `<type>:<valeur>` (encodé en URL)."
+ *     responses:
+ *       200:
+ *         description: Réponses taguées invalidées, avec le nombre de clés supprimées.
+ *       401:
+ *         description: Non autorisé.
+ *       403:
+ *         description: Permissions insuffisantes.
+ */
+router.delete('/tags/:tag',
+  ...canAdmin,
+  [
+    param('tag').notEmpty().withMessage('Le tag est requis.')
+  ],
+  handleValidationErrors,
+  CacheController.purgeTag
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -4,7 +4,8 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const DashboardController = require('../controllers/dashboard.controller');
-const { authMiddleware, optionalAuth } = require('../middlewares/auth');
+const { authMiddleware, optionalAuth, authorize } = require('../middlewares/auth');
+const { enforceQuota } = require('../middlewares/quota');
 
 const router = express.Router();
 
@@ -79,6 +80,8 @@ const authMiddlewareToUse = process.env.NODE_ENV === 'development' ? optionalAut
  */
 router.post('/generate',
   authMiddlewareToUse,
+  authorize('dashboard.generate'),
+  enforceQuota,
   [
     body('requirements')
       .notEmpty()
@@ -152,6 +155,8 @@ router.post('/generate',
  */
 router.post('/suggest-layout',
   authMiddlewareToUse,
+  authorize('dashboard.suggestLayout'),
+  enforceQuota,
   [
     body('metrics')
       .isArray({ min: 1 })
@@ -222,6 +227,8 @@ router.post('/suggest-layout',
  */
 router.post('/optimize',
   authMiddlewareToUse,
+  authorize('dashboard.optimize'),
+  enforceQuota,
   [
     body('currentDashboard')
       .isObject()
@@ -285,6 +292,8 @@ router.post('/optimize',
  */
 router.post('/validate',
   authMiddlewareToUse,
+  authorize('dashboard.validate'),
+  enforceQuota,
   [
     body('dashboardConfig')
       .isObject()
@@ -347,6 +356,8 @@ router.post('/validate',
  */
 router.post('/suggest-templates',
   authMiddlewareToUse,
+  authorize('dashboard.suggestTemplates'),
+  enforceQuota,
   [
     body('useCase')
       .notEmpty()
@@ -422,6 +433,8 @@ router.post('/suggest-templates',
  */
 router.post('/recommend-blocks',
   authMiddlewareToUse,
+  authorize('dashboard.recommendBlocks'),
+  enforceQuota,
   [
     body('dashboardPurpose')
       .notEmpty()
@@ -476,6 +489,7 @@ router.post('/recommend-blocks',
  */
 router.get('/templates',
   authMiddlewareToUse,
+  authorize('dashboard.templates'),
   DashboardController.getTemplates
 );
 
@@ -524,6 +538,8 @@ router.get('/templates',
  */
 router.post('/explain',
   authMiddlewareToUse,
+  authorize('dashboard.explain'),
+  enforceQuota,
   [
     body('dashboardConfig')
       .isObject()
@@ -6,23 +6,36 @@ const dashboardRoutes = require('./dashboard.routes');
 const opsAssistantRoutes = require('./ops-assistant.routes');
 const cacheRoutes = require('./cache.routes');
 const healthRoutes = require('./health.routes');
+const usageRoutes = require('./usage.routes');
+const quotaRoutes = require('./quota.routes');
+const meRoutes = require('./me.routes');
+const { rateLimitFor } = require('../middlewares/rateLimit');
 
 const router = express.Router();
 
 // Routes de santé
-router.use('/health', healthRoutes);
+router.use('/health', rateLimitFor('health'), healthRoutes);
 
 // Routes de gestion du cache
-router.use('/cache', cacheRoutes);
+router.use('/cache', rateLimitFor('cache'), cacheRoutes);
+
+// Consommation LLM (tokens et coûts)
+router.use('/usage', rateLimitFor('default'), usageRoutes);
+
+// Quotas de consommation LLM par utilisateur et par rôle
+router.use('/quotas', rateLimitFor('default'), quotaRoutes);
+
+// Utilisateur connecté (capacités)
+router.use('/me', rateLimitFor('default'), meRoutes);
 
 // Routes pour l'agent générateur de dashboards
-router.use('/dashboard', dashboardRoutes);
+router.use('/dashboard', rateLimitFor('dashboard'), dashboardRoutes);
 
 // Routes pour l'assistant opérationnel
-router.use('/ops-assistant', opsAssistantRoutes);
+router.use('/ops-assistant', rateLimitFor('ops-assistant'), opsAssistantRoutes);
 
 // Route d'information générale du service
-router.get('/', (req, res) => {
+router.get('/', rateLimitFor('default'), (req, res) => {
   res.json({
     service: 'SupervIA AI Service',
     version: '1.0.0',
@@ -31,7 +44,10 @@ router.get('/', (req, res) => {
       'dashboard': '/api/dashboard',
       'ops-assistant': '/api/ops-assistant',
       'health': '/api/health',
-      'cache': '/api/cache'
+      'cache': '/api/cache',
+      'usage': '/api/usage',
+      'quotas': '/api/quotas',
+      'me': '/api/me'
     },
     agents: {
       'dashboard-generator': {
@@ -0,0 +1,48 @@
+// src/routes/me.routes.js
+// Routes d'information sur l'utilisateur connecté
+
+const express = require('express');
+const MeController = require('../controllers/me.controller');
+const { authMiddleware, optionalAuth } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Pour le développement, utiliser optionalAuth au lieu de authMiddleware
+const authMiddlewareToUse = process.env.NODE_ENV === 'development' ? optionalAuth : authMiddleware;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Me
+ *   description: Informations sur l'utilisateur connecté.
+ */
+
+/**
+ * @swagger
+ * /api/me/capabilities:
+ *   get:
+ *     summary: Capacités de l'utilisateur connecté
+ *     tags: [Me]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Rôles, permissions accordées (parmi les permissions connues) et actions accessibles (`dashboard.generate`, `ops.chat`, `cache.admin`...), pour que le frontend masque les fonctionnalités inaccessibles."
+ *     responses:
+ *       200:
+ *         description: Capacités de l'utilisateur.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               userId: "42"
+ *               roles: ["user"]
+ *               permissions: ["ai:dashboard:read", "ai:dashboard:generate", "ai:ops:analyze", "ai:ops:chat"]
+ *               actions: { "dashboard.generate": true, "ops.chat": true, "cache.admin": false }
+ *       401:
+ *         description: Non autorisé.
+ */
+router.get('/capabilities',
+  authMiddlewareToUse,
+  MeController.getCapabilities
+);
+
+module.exports = router;
@@ -2,9 +2,10 @@
 // Routes pour l'assistant opérationnel IA
 
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const OpsAssistantController = require('../controllers/ops-assistant.controller');
-const { authMiddleware, optionalAuth } = require('../middlewares/auth');
+const { authMiddleware, optionalAuth, authorize } = require('../middlewares/auth');
+const { enforceQuota } = require('../middlewares/quota');
 
 const router = express.Router();
 
@@ -25,6 +26,9 @@ const handleValidationErrors = (req, res, next) => {
 // pour permettre les tests sans authentification
 const authMiddlewareToUse = process.env.NODE_ENV === 'development' ? optionalAuth : authMiddleware;
 
+// Identifiants de session : UUID générés par le service ou identifiants fournis par le client
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
 /**
  * @swagger
  * tags:
@@ -81,6 +85,8 @@ const authMiddlewareToUse = process.env.NODE_ENV === 'development' ? optionalAut
  */
 router.post('/analyze-metrics',
   authMiddlewareToUse,
+  authorize('ops.analyzeMetrics'),
+  enforceQuota,
   [
     body('metrics')
       .isArray({ min: 1 })
@@ -152,6 +158,8 @@ router.post('/analyze-metrics',
  */
 router.post('/diagnose-issue',
   authMiddlewareToUse,
+  authorize('ops.diagnoseIssue'),
+  enforceQuota,
   [
     body('symptoms')
       .notEmpty()
@@ -222,6 +230,8 @@ router.post('/diagnose-issue',
  */
 router.post('/suggest-alerts',
   authMiddlewareToUse,
+  authorize('ops.suggestAlerts'),
+  enforceQuota,
   [
     body('metrics')
       .isArray({ min: 1 })
@@ -287,6 +297,8 @@ router.post('/suggest-alerts',
  */
 router.post('/capacity-planning',
   authMiddlewareToUse,
+  authorize('ops.capacityPlanning'),
+  enforceQuota,
   [
     body('historicalData')
       .isArray({ min: 1 })
@@ -349,6 +361,8 @@ router.post('/capacity-planning',
  */
 router.post('/performance-analysis',
   authMiddlewareToUse,
+  authorize('ops.performanceAnalysis'),
+  enforceQuota,
   [
     body('systemMetrics')
       .isObject()
@@ -394,6 +408,12 @@ router.post('/performance-analysis',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Un message est déjà en cours de traitement pour cette session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Erreur interne du serveur.
  *         content:
@@ -401,23 +421,250 @@ router.post('/performance-analysis',
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
+// Contexte d'écran du chat : seuls les champs documentés sont acceptés (voir ChatContext dans le swagger)
+const CHAT_CONTEXT_FIELDS = ['dashboard', 'service', 'timeRange', 'alerts'];
+
+const onlyFields = (allowed) => (value) => {
+  const unknown = Object.keys(value || {}).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Champs non reconnus : ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+const shortString = (max, { required = false } = {}) => (value) => {
+  return typeof value === 'string' && value.length <= max && (!required || value.length > 0);
+};
+
+const chatContextValidators = [
+  body('context')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Le contexte doit être un objet.')
+    .bail()
+    .custom(onlyFields(CHAT_CONTEXT_FIELDS)),
+  body('context.dashboard')
+    .optional()
+    .isObject()
+    .withMessage('Le dashboard du contexte doit être un objet.'),
+  body(['context.dashboard.id', 'context.dashboard.title'])
+    .optional()
+    .custom(shortString(200))
+    .withMessage('L\'identifiant et le titre du dashboard doivent être des chaînes de 200 caractères maximum.'),
+  body('context.dashboard.blocks')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Les blocs du dashboard doivent être un tableau de 50 éléments maximum.'),
+  body(['context.dashboard.blocks.*.id', 'context.dashboard.blocks.*.type', 'context.dashboard.blocks.*.title'])
+    .optional()
+    .custom(shortString(200))
+    .withMessage('L\'identifiant, le type et le titre d\'un bloc doivent être des chaînes de 200 caractères maximum.'),
+  body('context.dashboard.blocks.*.config')
+    .optional()
+    .isObject()
+    .withMessage('La configuration d\'un bloc doit être un objet.'),
+  body(['context.dashboard.blocks.*.config.metric', 'context.dashboard.blocks.*.config.metrics.*'])
+    .optional()
+    .custom(shortString(200))
+    .withMessage('Les métriques d\'un bloc doivent être des chaînes de 200 caractères maximum.'),
+  body('context.dashboard.blocks.*.config.query')
+    .optional()
+    .custom(shortString(1000))
+    .withMessage('La requête d\'un bloc doit être une chaîne de 1000 caractères maximum.'),
+  body('context.service')
+    .optional()
+    .isString()
+    .matches(/^[A-Za-z0-9._-]{1,100}$/)
+    .withMessage('Le service sélectionné doit être un nom de service valide.'),
+  body('context.timeRange')
+    .optional()
+    .isObject()
+    .withMessage('La période doit être un objet.')
+    .bail()
+    .custom(onlyFields(['preset', 'from', 'to'])),
+  body('context.timeRange.preset')
+    .optional()
+    .isIn(['5m', '15m', '30m', '1h', '3h', '6h', '12h', '24h', '7d', '30d'])
+    .withMessage('Période prédéfinie invalide.'),
+  body(['context.timeRange.from', 'context.timeRange.to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Les bornes de la période doivent être des dates ISO 8601.'),
+  body('context.alerts')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Les alertes visibles doivent être un tableau de 50 éléments maximum.'),
+  body('context.alerts.*.name')
+    .custom(shortString(200, { required: true }))
+    .withMessage('Chaque alerte doit avoir un nom (200 caractères maximum).'),
+  body('context.alerts.*.severity')
+    .optional()
+    .isIn(['critical', 'warning', 'info'])
+    .withMessage('Sévérité d\'alerte invalide.'),
+  body(['context.alerts.*.service', 'context.alerts.*.state'])
+    .optional()
+    .custom(shortString(100))
+    .withMessage('Le service et l\'état d\'une alerte doivent être des chaînes de 100 caractères maximum.'),
+  body('context.alerts.*.startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Le début d\'une alerte doit être une date ISO 8601.')
+];
+
+const chatValidators = [
+  body('message')
+    .notEmpty()
+    .withMessage('Le message ne peut pas être vide.')
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Le message doit contenir entre 1 et 2000 caractères.'),
+  body('sessionId')
+    .optional()
+    .isString()
+    .withMessage('L\'ID de session doit être une chaîne de caractères.')
+    .bail()
+    .matches(SESSION_ID_PATTERN)
+    .withMessage('L\'ID de session ne peut contenir que des lettres, chiffres, - et _ (100 caractères max).'),
+  ...chatContextValidators,
+];
+
 router.post('/chat',
   authMiddlewareToUse,
-  [
-    body('message')
-      .notEmpty()
-      .withMessage('Le message ne peut pas être vide.')
-      .isLength({ min: 1, max: 2000 })
-      .withMessage('Le message doit contenir entre 1 et 2000 caractères.'),
-    body('sessionId')
-      .optional()
-      .isString()
-      .withMessage('L\'ID de session doit être une chaîne de caractères.'),
-  ],
+  authorize('ops.chat'),
+  enforceQuota,
+  chatValidators,
   handleValidationErrors,
   OpsAssistantController.chat
 );
 
+/**
+ * @swagger
+ * /api/ops-assistant/chat/stream:
+ *   post:
+ *     summary: Chat avec l'assistant en streaming (Server-Sent Events)
+ *     tags: [Ops Assistant]
+ *     description: |
+ *       Même conversation que `/chat`, mais la réponse est un flux `text/event-stream` :
+ *       - `session` : `{ sessionId, title }`
+ *       - `tool_start` : `{ id, name, arguments }` au lancement d'un outil
+ *       - `tool_end` : `{ id, name, success, status, durationMs }` à la fin d'un outil
+ *       - `delta` : `{ content }` fragment de la réponse finale (le texte d'un tour qui appelle des outils n'est pas transmis) ;
+ *         `{ content, replace: true }` remplace le texte affiché
+ *       - `done` : événement terminal, même corps que la réponse de `/chat` (`metadata.trace`, `metadata.usage`)
+ *       - `error` : événement terminal `{ success: false, error, statusCode }`
+ *
+ *       La déconnexion du client annule le tour en cours : plus d'appel à l'IA ni aux outils.
+ *     security:
+ *       - UserAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChatRequest'
+ *     responses:
+ *       200:
+ *         description: Flux d'événements SSE.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: delta\ndata: {\"content\":\"Le CPU \"}\n\n"
+ *       400:
+ *         description: Erreurs de validation.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/chat/stream',
+  authMiddleware,
+  authorize('ops.chat'),
+  enforceQuota,
+  chatValidators,
+  handleValidationErrors,
+  OpsAssistantController.chatStream
+);
+
+const sessionIdValidator = [
+  param('id')
+    .matches(SESSION_ID_PATTERN)
+    .withMessage('ID de session invalide.')
+];
+
+/**
+ * @swagger
+ * /api/ops-assistant/sessions:
+ *   get:
+ *     summary: Liste les sessions de chat de l'utilisateur
+ *     tags: [Ops Assistant]
+ *     description: |
+ *       Sessions persistées (Redis, ou cache mémoire en repli) de l'utilisateur authentifié, les plus
+ *       récentes d'abord. Une session expire après `CHAT_SESSION_TTL` secondes sans nouveau message.
+ *     security:
+ *       - UserAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions de l'utilisateur (`id`, `title`, `createdAt`, `updatedAt`, `messageCount`).
+ */
+router.get('/sessions',
+  authMiddleware,
+  authorize('ops.sessions'),
+  OpsAssistantController.listSessions
+);
+
+/**
+ * @swagger
+ * /api/ops-assistant/sessions/{id}:
+ *   get:
+ *     summary: Récupère une session de chat avec ses messages
+ *     tags: [Ops Assistant]
+ *     security:
+ *       - UserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: "Identifiant de la session (`sessionId` retourné par `/chat`)."
+ *     responses:
+ *       200:
+ *         description: Session et messages (utilisateur et réponses de l'assistant).
+ *       404:
+ *         description: Session inexistante, expirée ou appartenant à un autre utilisateur.
+ *   delete:
+ *     summary: Supprime une session de chat
+ *     tags: [Ops Assistant]
+ *     security:
+ *       - UserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session supprimée.
+ *       404:
+ *         description: Session inexistante, expirée ou appartenant à un autre utilisateur.
+ */
+router.get('/sessions/:id',
+  authMiddleware,
+  authorize('ops.sessions'),
+  sessionIdValidator,
+  handleValidationErrors,
+  OpsAssistantController.getSession
+);
+
+router.delete('/sessions/:id',
+  authMiddleware,
+  authorize('ops.sessions'),
+  sessionIdValidator,
+  handleValidationErrors,
+  OpsAssistantController.deleteSession
+);
+
 /**
  * @swagger
  * /api/ops-assistant/explain-metric:
@@ -468,6 +715,8 @@ router.post('/chat',
  */
 router.post('/explain-metric',
   authMiddlewareToUse,
+  authorize('ops.explainMetric'),
+  enforceQuota,
   [
     body('metricName')
       .notEmpty()
@@ -526,6 +775,8 @@ router.post('/explain-metric',
  */
 router.post('/quick-status',
   authMiddlewareToUse,
+  authorize('ops.quickStatus'),
+  enforceQuota,
   OpsAssistantController.quickStatus
 );
 
@@ -569,6 +820,8 @@ router.post('/quick-status',
  */
 router.post('/auto-diagnose',
   authMiddlewareToUse,
+  authorize('ops.autoDiagnose'),
+  enforceQuota,
   OpsAssistantController.autoDiagnose
 );
 
@@ -615,6 +868,8 @@ router.post('/auto-diagnose',
  */
 router.post('/performance-insights',
   authMiddlewareToUse,
+  authorize('ops.performanceInsights'),
+  enforceQuota,
   [
     body('service')
       .isIn(['auth-service', 'db-service', 'ai-service', 'metrics-service', 'notification-service', 'payment-service', 'all'])
@@ -676,6 +931,8 @@ router.post('/performance-insights',
  */
 router.post('/smart-dashboard',
   authMiddlewareToUse,
+  authorize('ops.smartDashboard'),
+  enforceQuota,
   [
     body('purpose')
       .notEmpty()
@@ -0,0 +1,260 @@
+// src/routes/quota.routes.js
+// Routes de consultation et d'administration des quotas LLM (tokens et coût)
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const QuotaController = require('../controllers/quota.controller');
+const { QUOTA_PERIODS, QUOTA_METRICS } = require('../services/quota.service');
+const { authMiddleware, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Middleware de validation des erreurs
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const adminOnly = [authMiddleware, authorize('quotas.admin')];
+
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9_.@-]{1,100}$/;
+
+const isLimit = value => value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+
+const overrideValidators = [
+  body()
+    .custom(value => QUOTA_PERIODS.some(period => value[period] !== undefined))
+    .withMessage(`Au moins une période est requise (${QUOTA_PERIODS.join(', ')})`),
+  body(QUOTA_PERIODS)
+    .optional()
+    .isObject()
+    .withMessage('Chaque période doit être un objet { tokens, costUsd }')
+    .bail()
+    .custom(value => Object.keys(value).every(metric => QUOTA_METRICS.includes(metric)))
+    .withMessage(`Métriques possibles : ${QUOTA_METRICS.join(', ')}`),
+  body(QUOTA_PERIODS.flatMap(period => QUOTA_METRICS.map(metric => `${period}.${metric}`)))
+    .optional({ values: 'undefined' })
+    .custom(isLimit)
+    .withMessage('Une limite doit être un nombre positif ou null (illimité)'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('La raison doit faire 500 caractères maximum')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quotas
+ *   description: Budgets de consommation LLM (tokens et coût) par utilisateur et par rôle.
+ */
+
+/**
+ * @swagger
+ * /api/quotas:
+ *   get:
+ *     summary: Configuration des quotas
+ *     tags: [Quotas]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Limites par défaut (variables QUOTA_*) et surcharges enregistrées par utilisateur et par rôle. Nécessite la permission `ai:quotas:admin`."
+ *     responses:
+ *       200:
+ *         description: Configuration des quotas.
+ *       401:
+ *         description: Non autorisé.
+ *       403:
+ *         description: Permissions insuffisantes.
+ */
+router.get('/',
+  ...adminOnly,
+  QuotaController.getConfiguration
+);
+
+/**
+ * @swagger
+ * /api/quotas/me:
+ *   get:
+ *     summary: Quota de l'utilisateur connecté
+ *     tags: [Quotas]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Limites journalières et mensuelles effectives (tokens, coût en USD), consommation de la période, budget restant et date de réinitialisation."
+ *     responses:
+ *       200:
+ *         description: Quota de l'utilisateur.
+ *       401:
+ *         description: Non autorisé.
+ */
+router.get('/me',
+  authMiddleware,
+  QuotaController.getMyQuota
+);
+
+/**
+ * @swagger
+ * /api/quotas/users/{userId}:
+ *   get:
+ *     summary: Quota d'un utilisateur
+ *     tags: [Quotas]
+ *     security:
+ *       - UserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: roles
+ *         schema:
+ *           type: string
+ *           example: ops,viewer
+ *         description: "Rôles de l'utilisateur (séparés par des virgules) pour calculer ses limites effectives."
+ *     responses:
+ *       200:
+ *         description: Quota et surcharge éventuelle de l'utilisateur.
+ *       400:
+ *         description: Paramètres invalides.
+ *       403:
+ *         description: Permissions insuffisantes.
+ *   put:
+ *     summary: Définir le quota d'un utilisateur
+ *     tags: [Quotas]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Remplace la surcharge de l'utilisateur, prioritaire sur les limites de ses rôles et les limites par défaut. Une valeur null rend la métrique illimitée, une métrique absente garde la limite héritée."
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotaOverride'
+ *     responses:
+ *       200:
+ *         description: Quota mis à jour.
+ *       400:
+ *         description: Limites invalides.
+ *       403:
+ *         description: Permissions insuffisantes.
+ *   delete:
+ *     summary: Supprimer le quota d'un utilisateur
+ *     tags: [Quotas]
+ *     security:
+ *       - UserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Surcharge supprimée, les limites héritées s'appliquent.
+ *       404:
+ *         description: Aucune surcharge pour cet utilisateur.
+ */
+router.get('/users/:userId',
+  ...adminOnly,
+  [
+    param('userId').matches(IDENTIFIER_PATTERN).withMessage('Identifiant utilisateur invalide'),
+    query('roles').optional().isString().isLength({ max: 500 }).withMessage('Liste de rôles invalide')
+  ],
+  handleValidationErrors,
+  QuotaController.getUserQuota
+);
+
+router.put('/users/:userId',
+  ...adminOnly,
+  [
+    param('userId').matches(IDENTIFIER_PATTERN).withMessage('Identifiant utilisateur invalide'),
+    ...overrideValidators
+  ],
+  handleValidationErrors,
+  QuotaController.setOverride('user')
+);
+
+router.delete('/users/:userId',
+  ...adminOnly,
+  param('userId').matches(IDENTIFIER_PATTERN).withMessage('Identifiant utilisateur invalide'),
+  handleValidationErrors,
+  QuotaController.deleteOverride('user')
+);
+
+/**
+ * @swagger
+ * /api/quotas/roles/{role}:
+ *   put:
+ *     summary: Définir le quota d'un rôle
+ *     tags: [Quotas]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Remplace les variables QUOTA_*_<ROLE> pour ce rôle. Un utilisateur ayant plusieurs rôles reçoit la limite la plus généreuse."
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotaOverride'
+ *     responses:
+ *       200:
+ *         description: Quota du rôle mis à jour.
+ *       400:
+ *         description: Limites invalides.
+ *       403:
+ *         description: Permissions insuffisantes.
+ *   delete:
+ *     summary: Supprimer le quota d'un rôle
+ *     tags: [Quotas]
+ *     security:
+ *       - UserAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Surcharge supprimée.
+ *       404:
+ *         description: Aucune surcharge pour ce rôle.
+ */
+router.put('/roles/:role',
+  ...adminOnly,
+  [
+    param('role').matches(IDENTIFIER_PATTERN).withMessage('Rôle invalide'),
+    ...overrideValidators
+  ],
+  handleValidationErrors,
+  QuotaController.setOverride('role')
+);
+
+router.delete('/roles/:role',
+  ...adminOnly,
+  param('role').matches(IDENTIFIER_PATTERN).withMessage('Rôle invalide'),
+  handleValidationErrors,
+  QuotaController.deleteOverride('role')
+);
+
+module.exports = router;
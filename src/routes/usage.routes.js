@@ -0,0 +1,127 @@
+// src/routes/usage.routes.js
+// Routes de consultation de la consommation LLM (tokens et coûts estimés)
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const UsageController = require('../controllers/usage.controller');
+const { GROUP_BY_DIMENSIONS } = require('../services/usage-ledger.service');
+const { authMiddleware, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Middleware de validation des erreurs
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Erreurs de validation',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const adminOnly = [authMiddleware, authorize('usage.report')];
+
+const periodValidators = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Les dates doivent être au format ISO 8601 (ex: 2025-01-31).')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Usage
+ *   description: Consommation des fournisseurs LLM (tokens et coût estimé) pour la refacturation.
+ */
+
+/**
+ * @swagger
+ * /api/usage:
+ *   get:
+ *     summary: Consommation LLM de l'utilisateur connecté
+ *     tags: [Usage]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Tokens et coût estimé (USD) des appels LLM de l'utilisateur, au total et par jour, agent, route et modèle. Les réponses servies par le cache ne sont pas comptées."
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: "Premier jour (UTC) inclus. Par défaut : 29 jours avant `to`."
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: "Dernier jour (UTC) inclus. Par défaut : aujourd'hui."
+ *     responses:
+ *       200:
+ *         description: Consommation de l'utilisateur.
+ *       400:
+ *         description: Période invalide (366 jours maximum).
+ *       401:
+ *         description: Non autorisé.
+ */
+router.get('/',
+  authMiddleware,
+  periodValidators,
+  handleValidationErrors,
+  UsageController.getMyUsage
+);
+
+/**
+ * @swagger
+ * /api/usage/report:
+ *   get:
+ *     summary: Rapport de consommation LLM tous utilisateurs
+ *     tags: [Usage]
+ *     security:
+ *       - UserAuth: []
+ *     description: "Tokens et coût estimé (USD) regroupés par jour, utilisateur et agent (par défaut), avec la table de prix appliquée. Nécessite la permission `ai:usage:report`."
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           example: day,user,agent
+ *         description: "Dimensions séparées par des virgules parmi day, user, agent, route, model."
+ *     responses:
+ *       200:
+ *         description: Rapport de consommation.
+ *       400:
+ *         description: Paramètres invalides.
+ *       401:
+ *         description: Non autorisé.
+ *       403:
+ *         description: Permissions insuffisantes.
+ */
+router.get('/report',
+  ...adminOnly,
+  [
+    ...periodValidators,
+    query('groupBy')
+      .optional()
+      .custom(value => value.split(',').every(dimension => GROUP_BY_DIMENSIONS.includes(dimension.trim())))
+      .withMessage(`Regroupement invalide (valeurs possibles : ${GROUP_BY_DIMENSIONS.join(', ')})`)
+  ],
+  handleValidationErrors,
+  UsageController.getReport
+);
+
+module.exports = router;
@@ -16,8 +16,6 @@ const promBundle = require('express-prom-bundle');
 
 const swaggerUi = require('swagger-ui-express');
 
-const rateLimit = require('express-rate-limit');
-
 require('dotenv').config();
 
 
@@ -29,12 +27,19 @@ const routes = require('./routes');
 
 const errorHandler = require('./middlewares/errorHandler');
 
+const cacheControl = require('./middlewares/cacheControl');
+const { requestContext } = require('./middlewares/requestContext');
+const { redactionReport } = require('./middlewares/redaction');
+const { identifyUser } = require('./middlewares/auth');
+
 const swaggerDocument = require('./swagger.json');
 
 
 const app = express();
 
 const PORT = process.env.PORT || 3005;
+// Attente maximale de Redis au démarrage : avant sa connexion, la comptabilité et les quotas répondraient 503
+const REDIS_STARTUP_WAIT_MS = parseInt(process.env.REDIS_STARTUP_WAIT_MS) || 10000;
 
 // Trust proxy settings pour déploiement derrière reverse proxy
 app.set('trust proxy', 1);
@@ -59,7 +64,7 @@ const corsOptions = {
   methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
   credentials: true,
   optionsSuccessStatus: 204,
-  allowedHeaders: 'Content-Type,Authorization,x-client,x-environment,*'
+  allowedHeaders: 'Content-Type,Authorization,Cache-Control,Pragma,x-client,x-environment,*'
 };
 
 app.use(cors(corsOptions));
@@ -82,17 +87,6 @@ app.use(morgan('combined', {
 }));
 
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limite à 100 requêtes par fenêtre par IP
-  message: 'Trop de requêtes depuis cette IP, veuillez réessayer plus tard.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use('/api/', limiter);
-
-
 // Prometheus metrics middleware
 // Note: all custom metrics are automatically collected
 app.use(promBundle({
@@ -110,6 +104,20 @@ app.use(promBundle({
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 
 
+// Directives de cache du client (Cache-Control: no-cache / no-store)
+app.use('/api', cacheControl);
+
+// Contexte de requête (attribution des appels LLM à l'utilisateur et à la route)
+app.use('/api', requestContext);
+
+// Rapport des données sensibles masquées dans les logs et les prompts (en-tête X-Redactions)
+app.use('/api', redactionReport);
+
+// Identification de l'utilisateur (sans rejet) : la limitation de débit par groupe de routes
+// (src/routes/index.js) compte par utilisateur plutôt que par IP
+app.use('/api', identifyUser);
+
+
 // API routes
 app.use('/api', routes);
 
@@ -159,9 +167,15 @@ process.on('SIGINT', async () => {
 
 
 
-// Démarrage du serveur
-app.listen(PORT, () => {
-  logger.info(`🤖 Service IA démarré sur le port ${PORT}`);
-  logger.info(`📊 Métriques disponibles sur http://localhost:${PORT}/metrics`);
-  logger.info(`📖 Documentation API disponible sur http://localhost:${PORT}/api-docs`);
-}); 
\ No newline at end of file
+// Démarrage du serveur une fois Redis connecté (ou après REDIS_STARTUP_WAIT_MS, en mode dégradé)
+redisClient.waitUntilReady(REDIS_STARTUP_WAIT_MS).then((ready) => {
+  if (!ready && redisClient.getStatus().enabled) {
+    logger.warn(`Redis injoignable après ${REDIS_STARTUP_WAIT_MS} ms, démarrage en mode dégradé : endpoints soumis aux quotas LLM refusés jusqu'à la connexion`);
+  }
+
+  app.listen(PORT, () => {
+    logger.info(`🤖 Service IA démarré sur le port ${PORT}`);
+    logger.info(`📊 Métriques disponibles sur http://localhost:${PORT}/metrics`);
+    logger.info(`📖 Documentation API disponible sur http://localhost:${PORT}/api-docs`);
+  });
+});
\ No newline at end of file
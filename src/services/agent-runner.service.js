@@ -0,0 +1,349 @@
+// src/services/agent-runner.service.js
+// Exécution d'un agent avec outils (function calling) : boucle appel IA -> outils -> appel IA
+
+const openAIService = require('./openai.service');
+const contextWindow = require('./context-window.service');
+const toolAccess = require('./tool-access.service');
+const promptGuard = require('./prompt-guard.service');
+const { quotaService } = require('./quota.service');
+const { runWithSignal } = require('../middlewares/requestContext');
+const logger = require('../config/logger');
+
+const TOOL_TIMEOUT_MS = parseInt(process.env.AGENT_TOOL_TIMEOUT_MS) || 15000;
+const MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS) || 5;
+const MAX_TOOL_CALLS = parseInt(process.env.AGENT_MAX_TOOL_CALLS) || 10;
+const TRACE_OUTPUT_MAX_CHARS = parseInt(process.env.AGENT_TRACE_OUTPUT_MAX_CHARS) || 500;
+
+const truncate = (text, maxChars) => {
+  if (text.length <= maxChars) return { text, truncated: false };
+  return { text: `${text.slice(0, maxChars)}…`, truncated: true };
+};
+
+/**
+ * Message de l'assistant d'une réponse de callOpenAI (réponse du fournisseur ou de repli)
+ */
+const assistantMessage = (response) => {
+  const message = response.choices && response.choices[0] && response.choices[0].message;
+  return message || { role: 'assistant', content: response.content || null };
+};
+
+// Tour annulé (client déconnecté) : erreur de code `aborted`, comme celle levée par OpenAIService
+const throwIfAborted = (signal) => {
+  if (!signal || !signal.aborted) return;
+  const error = new Error('Tour annulé');
+  error.code = 'aborted';
+  throw error;
+};
+
+const STOP_REASONS = {
+  step_budget: "nombre maximal d'étapes atteint",
+  tool_budget: "nombre maximal d'appels d'outils atteint",
+  quota_budget: 'quota LLM atteint'
+};
+
+class AgentRunnerService {
+  constructor() {
+    this.toolTimeoutMs = TOOL_TIMEOUT_MS;
+    this.maxSteps = MAX_STEPS;
+    this.maxToolCalls = MAX_TOOL_CALLS;
+    this.traceOutputMaxChars = TRACE_OUTPUT_MAX_CHARS;
+  }
+
+  /**
+   * Fait dialoguer l'IA avec ses outils jusqu'à une réponse finale.
+   * Les tours avec outils ne passent jamais par le cache (voir OpenAIService.callOpenAI).
+   *
+   * @param {Object} params
+   * @param {string} params.agentType - Type d'agent transmis à callOpenAI (ex: chat-42)
+   * @param {Array} params.history - Historique de conversation, complété en place
+   * @param {Function} params.buildPrompt - Construit les messages envoyés à l'IA depuis l'historique
+   * @param {Array} params.tools - Définitions des outils (format OpenAI)
+   * @param {Object} params.toolHandlers - Implémentations des outils par nom
+   * @param {Object} [params.options] - Options supplémentaires de callOpenAI (température, ...)
+   * @param {boolean} [params.stream] - Lecture en flux de chaque réponse de l'IA
+   * @param {Function} [params.emit] - Reçoit la progression : tool_start, tool_end, delta
+   * @param {Object} [params.logContext] - Champs ajoutés aux logs (userId, sessionId)
+   * @param {Object|null} [params.caller] - Utilisateur pour lequel l'agent agit : outils permis et
+   *   périmètre (services, tenant) appliqués à chaque appel (voir tool-access.service)
+   * @param {Object|null} [params.guard] - État de la garde contre l'injection de prompt
+   *   (promptGuard.startTurn) : sorties d'outils délimitées et inspectées, appels contrôlés
+   * @param {AbortSignal|null} [params.signal] - Annule le tour (client déconnecté) : appel en cours à l'IA
+   *   et outils interrompus, erreur de code `aborted` levée
+   * @returns {Promise<Object>} content, cached, usage, steps, toolsUsedCount, stopReason, degraded, trace, guard
+   */
+  async run({ agentType, history, buildPrompt, tools, toolHandlers, options = {}, stream = false, emit = () => {}, logContext = {}, caller = null, guard = null, signal = null }) {
+    const scope = toolAccess.scopeFor(caller);
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const trace = [];
+    let streamedContent = '';
+    let steps = 0;
+    let toolsUsedCount = 0;
+    let stopReason = 'completed';
+
+    const emitDelta = (content) => {
+      streamedContent += content;
+      emit('delta', { content });
+    };
+
+    const complete = async (toolChoice) => {
+      throwIfAborted(signal);
+      streamedContent = '';
+      // Un tour pouvant demander des outils n'est transmis qu'une fois terminé sans appel d'outil :
+      // le texte d'un tour intermédiaire n'est jamais diffusé
+      const pending = [];
+      const response = await openAIService.callOpenAI(buildPrompt(history), agentType, {
+        ...options,
+        tools,
+        tool_choice: toolChoice,
+        ...(signal && { signal }),
+        ...(stream && {
+          onDelta: (content) => (toolChoice === 'none' ? emitDelta(content) : pending.push(content))
+        })
+      });
+      if (response.usage) {
+        Object.keys(usage).forEach(key => { usage[key] += response.usage[key] || 0; });
+      }
+      const { tool_calls: toolCalls } = assistantMessage(response);
+      if (!toolCalls || toolCalls.length === 0) pending.forEach(emitDelta);
+      return response;
+    };
+
+    let response = await complete('auto');
+    let message = assistantMessage(response);
+
+    // Boucle tant que l'IA demande des outils
+    while (message.tool_calls && message.tool_calls.length > 0) {
+      if (steps >= this.maxSteps || toolsUsedCount + message.tool_calls.length > this.maxToolCalls) {
+        stopReason = steps >= this.maxSteps ? 'step_budget' : 'tool_budget';
+        if (await this.quotaReached(scope, caller, agentType, logContext)) {
+          stopReason = 'quota_budget';
+          message = { role: 'assistant', content: null };
+          break;
+        }
+        logger.warn(`Budget d'outils épuisé (${stopReason}) pour ${agentType}, réponse demandée sans outils`, logContext);
+        // Dernier appel sans outils : l'IA répond avec les informations déjà collectées
+        response = await complete('none');
+        message = assistantMessage(response);
+        break;
+      }
+
+      steps++;
+      logger.info(`[Appel Outil #${steps}] L'IA demande les outils : ${message.tool_calls.map(t => t.function.name).join(', ')}`, logContext);
+
+      // Ajoute la demande de l'assistant à l'historique
+      history.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+
+      const executions = await Promise.all(
+        message.tool_calls.map(toolCall => this.executeTool(toolCall, toolHandlers, steps, emit, scope, guard, signal))
+      );
+      toolsUsedCount += executions.length;
+      throwIfAborted(signal);
+      // Historique et trace dans l'ordre des demandes de l'IA
+      executions.forEach(({ output, entry }) => {
+        history.push(output);
+        trace.push(entry);
+      });
+
+      // Un tour peut enchaîner plusieurs appels : le quota est revérifié avant chacun
+      if (await this.quotaReached(scope, caller, agentType, logContext)) {
+        stopReason = 'quota_budget';
+        message = { role: 'assistant', content: null };
+        break;
+      }
+
+      // Appelle à nouveau l'IA avec les résultats des outils
+      response = await complete('auto');
+      message = assistantMessage(response);
+    }
+
+    const guardSummary = promptGuard.summary(guard);
+    if (guardSummary.suspicious) {
+      logger.warn(`Tour suspect d'injection de prompt pour ${agentType}`, { ...logContext, guard: guardSummary });
+    }
+
+    let degraded = false;
+    if (!message.content) {
+      if (trace.length === 0 && stopReason === 'completed') {
+        logger.error('Réponse finale d\'OpenAI invalide après les appels d\'outils.', { ...logContext, response });
+        throw new Error('Réponse OpenAI invalide');
+      }
+      // L'IA n'a pas conclu (budget épuisé, nouvel appel d'outil malgré tool_choice: none) :
+      // les résultats déjà obtenus valent mieux qu'une erreur
+      logger.warn(`Réponse finale vide pour ${agentType} (${stopReason}), réponse dégradée construite depuis la trace`, logContext);
+      message = { role: 'assistant', content: this.degradedAnswer(trace, stopReason) };
+      degraded = true;
+    }
+
+    // Réponse non lue en flux (cache, repli) : transmise d'un seul bloc
+    if (stream && streamedContent !== message.content) {
+      emit('delta', { content: message.content, replace: true });
+    }
+
+    return {
+      content: message.content,
+      cached: !!response.cached,
+      fallback: !!response.fallback,
+      usage,
+      steps,
+      toolsUsedCount,
+      stopReason,
+      degraded,
+      trace,
+      guard: guardSummary
+    };
+  }
+
+  /**
+   * Le quota LLM de l'utilisateur est-il épuisé ? Les appels déjà faits dans ce tour sont comptés
+   * (usageLedger.record avant le retour de callOpenAI). Une erreur de lecture (Redis injoignable) est levée.
+   */
+  async quotaReached(scope, caller, agentType, logContext) {
+    const status = await quotaService.check(scope.userId, (caller && caller.roles) || []);
+    if (status.allowed) return false;
+
+    logger.warn(`Quota LLM atteint pendant la boucle d'outils de ${agentType}, arrêt sans nouvel appel`, { ...logContext, exceeded: status.exceeded });
+    return true;
+  }
+
+  /**
+   * Réponse de repli listant les résultats des outils (sorties tronquées de la trace)
+   */
+  degradedAnswer(trace, stopReason) {
+    const reason = STOP_REASONS[stopReason] || 'aucune conclusion produite';
+    if (trace.length === 0) {
+      return `Je n'ai pas pu terminer l'analyse (${reason}) : aucun outil n'a encore été consulté.`;
+    }
+    const results = trace.map(entry => {
+      const detail = entry.status === 'success' ? entry.output : entry.error || entry.output;
+      return `- ${entry.name} (${entry.status}) : ${detail}`;
+    });
+    return `Je n'ai pas pu terminer l'analyse (${reason}). Résultats des outils déjà consultés :\n${results.join('\n')}`;
+  }
+
+  /**
+   * Exécute un appel d'outil avec délai maximal (l'outil est annulé à son expiration), après contrôle de la permission et du périmètre
+   * de l'utilisateur. Retourne le message `tool` pour l'IA et l'entrée de trace (arguments,
+   * arguments réécrits, durée, sortie tronquée ; statut `denied` en cas de refus, `blocked`
+   * si la garde contre l'injection de prompt écarte l'appel)
+   */
+  async executeTool(toolCall, toolHandlers, step, emit, scope, guard = null, signal = null) {
+    const name = toolCall.function.name;
+    const handler = toolHandlers[name];
+    const startTime = Date.now();
+    const entry = { step, id: toolCall.id, name, arguments: toolCall.function.arguments };
+    emit('tool_start', { id: toolCall.id, name, arguments: toolCall.function.arguments });
+
+    let content;
+    try {
+      if (!handler) {
+        entry.status = 'not_found';
+        throw new Error(`outil ${name} non trouvé`);
+      }
+
+      let args;
+      try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+      } catch (error) {
+        entry.status = 'invalid_arguments';
+        throw new Error(`arguments JSON invalides (${error.message})`);
+      }
+      entry.arguments = args;
+
+      let scopedArgs;
+      try {
+        scopedArgs = toolAccess.authorize(name, args, scope);
+      } catch (error) {
+        entry.status = 'denied';
+        throw error;
+      }
+      if (JSON.stringify(scopedArgs) !== JSON.stringify(args)) {
+        entry.scopedArguments = scopedArgs;
+      }
+      if (guard) {
+        try {
+          promptGuard.checkToolCall(guard, name, args);
+        } catch (error) {
+          entry.status = 'blocked';
+          throw error;
+        }
+      }
+
+      // Le délai et l'annulation du tour arrêtent aussi le travail de l'outil : ses appels HTTP (service-client) reçoivent le signal
+      const controller = new AbortController();
+      let timer;
+      let onAbort;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          entry.status = 'timeout';
+          controller.abort();
+          reject(new Error(`délai de ${this.toolTimeoutMs} ms dépassé`));
+        }, this.toolTimeoutMs);
+        onAbort = () => {
+          entry.status = 'aborted';
+          controller.abort();
+          reject(new Error('tour annulé'));
+        };
+        if (signal && signal.aborted) onAbort();
+        else if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      });
+
+      try {
+        const output = await Promise.race([
+          runWithSignal(controller.signal, () => handler(scopedArgs, scope, { signal: controller.signal })),
+          timeout
+        ]);
+        content = typeof output === 'string' ? output : JSON.stringify(output);
+        entry.status = 'success';
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+    } catch (error) {
+      entry.status = entry.status || 'error';
+      entry.error = error.message;
+      if (entry.status === 'denied') {
+        logger.warn(`Appel de l'outil ${name} refusé pour ${scope.userId}: ${error.message}`);
+        // Le modèle doit comprendre que réessayer autrement ne servira à rien
+        content = `Accès refusé: ${error.message}`;
+      } else if (entry.status === 'blocked') {
+        logger.warn(`Appel de l'outil ${name} bloqué par la garde d'injection pour ${scope.userId}: ${error.message}`);
+        content = `Appel bloqué: ${error.message}`;
+      } else if (entry.status === 'aborted') {
+        logger.info(`Outil ${name} interrompu : ${error.message}`);
+        content = `Erreur: ${error.message}`;
+      } else {
+        logger.error(`Erreur lors de l'exécution de l'outil ${name}: ${error.message}`);
+        content = `Erreur: ${error.message}`;
+      }
+    }
+
+    entry.durationMs = Date.now() - startTime;
+    const { text, truncated } = truncate(content || '', this.traceOutputMaxChars);
+    entry.output = text;
+    entry.outputTruncated = truncated;
+
+    // Sortie bornée dans l'historique : elle est renvoyée au modèle à chaque tour suivant
+    let historyContent = contextWindow.truncateToolOutput(content);
+    if (guard) {
+      const guarded = promptGuard.guardToolOutput(guard, entry, historyContent);
+      historyContent = guarded.content;
+      if (guarded.patterns.length > 0) entry.injection = guarded.patterns;
+    }
+
+    emit('tool_end', {
+      id: toolCall.id,
+      name,
+      success: entry.status === 'success',
+      status: entry.status,
+      suspicious: !!entry.injection,
+      durationMs: entry.durationMs
+    });
+
+    return {
+      output: { tool_call_id: toolCall.id, role: 'tool', name, content: historyContent },
+      entry
+    };
+  }
+}
+
+module.exports = new AgentRunnerService();
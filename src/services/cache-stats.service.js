@@ -0,0 +1,136 @@
+// src/services/cache-stats.service.js
+// Suivi des opérations du cache IA (hits, misses, écritures, évictions, erreurs,
+// requêtes fusionnées et réponses périmées servies) par type d'agent
+
+const { metrics } = require('../middlewares/metrics');
+const { normalizeAgentType } = require('../config/cache-policy');
+
+const BUCKET_MS = 60 * 1000; // Granularité d'une minute
+const WINDOWS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000
+};
+const RETENTION_MS = WINDOWS['24h'];
+const OPERATIONS = ['hits', 'misses', 'writes', 'evictions', 'errors', 'coalesced', 'stale'];
+
+/**
+ * Extrait le type d'agent d'une clé de cache `ai:<agentType>:<hash>`
+ */
+const agentTypeFromKey = (key) => {
+  const match = /^ai:(.+):[^:]+$/.exec(key || '');
+  return match ? match[1] : 'unknown';
+};
+
+const emptyCounters = () => OPERATIONS.reduce((acc, op) => ({ ...acc, [op]: 0 }), {});
+
+class CacheStatsService {
+  constructor() {
+    // Map<début de minute, Map<agentType, compteurs>>
+    this.buckets = new Map();
+    this.startedAt = new Date().toISOString();
+  }
+
+  /**
+   * Enregistre une opération de cache pour une clé ou un type d'agent
+   * @param {string} operation - hits | misses | writes | evictions | errors | coalesced | stale
+   * @param {string} keyOrAgent - Clé de cache `ai:...` ou type d'agent
+   */
+  record(operation, keyOrAgent) {
+    const agentType = normalizeAgentType(
+      keyOrAgent && keyOrAgent.startsWith('ai:') ? agentTypeFromKey(keyOrAgent) : keyOrAgent
+    );
+    const bucketStart = Math.floor(Date.now() / BUCKET_MS) * BUCKET_MS;
+
+    if (!this.buckets.has(bucketStart)) {
+      this.buckets.set(bucketStart, new Map());
+      this.prune(bucketStart);
+    }
+    const bucket = this.buckets.get(bucketStart);
+    if (!bucket.has(agentType)) {
+      bucket.set(agentType, emptyCounters());
+    }
+    bucket.get(agentType)[operation]++;
+
+    metrics.recordCacheOperation(agentType, operation);
+    if (operation === 'hits' || operation === 'misses') {
+      metrics.updateCacheHitRate(agentType, this.recentHitRate(agentType, bucketStart) || 0);
+    }
+  }
+
+  /**
+   * Taux de hit d'un agent sur 5 minutes, calculé sur ses seuls compteurs des minutes concernées
+   * (même fenêtre que summarize) : appelé à chaque hit ou miss, sans parcourir les 24 h conservées
+   */
+  recentHitRate(agentType, bucketStart) {
+    const since = Date.now() - WINDOWS['5m'];
+    const counters = { hits: 0, misses: 0 };
+
+    for (let start = bucketStart; start + BUCKET_MS > since; start -= BUCKET_MS) {
+      const bucket = this.buckets.get(start);
+      const agentCounters = bucket && bucket.get(agentType);
+      if (!agentCounters) continue;
+      counters.hits += agentCounters.hits;
+      counters.misses += agentCounters.misses;
+    }
+
+    CacheStatsService.addHitRate(counters);
+    return counters.hitRate;
+  }
+
+  /**
+   * Agrège les compteurs sur une fenêtre glissante
+   */
+  summarize(windowMs) {
+    const since = Date.now() - windowMs;
+    const byAgent = {};
+    const overall = emptyCounters();
+
+    for (const [bucketStart, bucket] of this.buckets) {
+      if (bucketStart + BUCKET_MS <= since) continue;
+      for (const [agentType, counters] of bucket) {
+        byAgent[agentType] = byAgent[agentType] || emptyCounters();
+        OPERATIONS.forEach(op => {
+          byAgent[agentType][op] += counters[op];
+          overall[op] += counters[op];
+        });
+      }
+    }
+
+    Object.values(byAgent).forEach(CacheStatsService.addHitRate);
+    CacheStatsService.addHitRate(overall);
+    return { overall, byAgent };
+  }
+
+  /**
+   * Statistiques sur toutes les fenêtres (5m, 1h, 24h)
+   */
+  getStats() {
+    const windows = {};
+    for (const [name, windowMs] of Object.entries(WINDOWS)) {
+      windows[name] = this.summarize(windowMs);
+    }
+    return {
+      windows,
+      trackingSince: this.startedAt,
+      scope: 'instance'
+    };
+  }
+
+  prune(now) {
+    for (const bucketStart of this.buckets.keys()) {
+      if (bucketStart < now - RETENTION_MS) {
+        this.buckets.delete(bucketStart);
+      }
+    }
+  }
+
+  static addHitRate(counters) {
+    const lookups = counters.hits + counters.misses;
+    counters.hitRate = lookups > 0 ? Math.round((counters.hits / lookups) * 10000) / 10000 : null;
+  }
+}
+
+const cacheStats = new CacheStatsService();
+
+module.exports = { cacheStats, normalizeAgentType, agentTypeFromKey };
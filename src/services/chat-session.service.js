@@ -0,0 +1,156 @@
+// src/services/chat-session.service.js
+// Sessions de chat de l'assistant ops, persistées par utilisateur (Redis ou cache mémoire) avec TTL
+
+const { v4: uuidv4 } = require('uuid');
+const { redisClient, aiCache } = require('../config/redis');
+const logger = require('../config/logger');
+
+// Hors de `ai:*` : les sessions ne sont ni comptées ni purgées avec les réponses IA
+const SESSION_PREFIX = 'chat-session:';
+// Index des sessions d'un utilisateur : ensemble trié des identifiants, score = dernière activité (ms)
+const INDEX_PREFIX = 'chat-sessions:';
+const TITLE_MAX_LENGTH = 60;
+
+/**
+ * Titre d'une session déduit du premier message (espaces normalisés, coupé sur un mot)
+ */
+const buildTitle = (message) => {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= TITLE_MAX_LENGTH) return text || 'Nouvelle conversation';
+
+  const cut = text.slice(0, TITLE_MAX_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > TITLE_MAX_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+class ChatSessionService {
+  constructor() {
+    // Expiration glissante : chaque nouveau message repousse l'échéance
+    this.ttl = parseInt(process.env.CHAT_SESSION_TTL) || 7 * 24 * 3600;
+    // Durée maximale d'un tour de chat (appels d'outils compris) pendant laquelle la session est réservée
+    this.lockTtlMs = parseInt(process.env.CHAT_SESSION_LOCK_TTL_MS) || 120000;
+  }
+
+  key(userId, sessionId) {
+    return `${SESSION_PREFIX}${userId}:${sessionId}`;
+  }
+
+  indexKey(userId) {
+    return `${INDEX_PREFIX}${userId}`;
+  }
+
+  /**
+   * Session d'un utilisateur, ou null si elle n'existe pas, a expiré ou appartient à un autre utilisateur
+   */
+  async get(userId, sessionId) {
+    const raw = await redisClient.get(this.key(userId, sessionId));
+    if (!raw) return null;
+
+    let session;
+    try {
+      session = JSON.parse(raw);
+    } catch (error) {
+      logger.warn(`Session de chat illisible ignorée: ${sessionId}`, { userId, error: error.message });
+      return null;
+    }
+    return session.userId === userId ? session : null;
+  }
+
+  /**
+   * Réserve une session pour la durée d'un tour : deux tours simultanés partiraient du même
+   * historique et le dernier enregistré effacerait l'autre. Retourne la fonction de libération,
+   * lève une erreur 409 si un tour est déjà en cours.
+   */
+  async lock(userId, sessionId) {
+    const key = this.key(userId, sessionId);
+    const token = await aiCache.acquireLock(key, this.lockTtlMs);
+    if (!token) {
+      const error = new Error('Un message est déjà en cours de traitement pour cette session, réessayez une fois la réponse reçue.');
+      error.statusCode = 409;
+      throw error;
+    }
+    return () => aiCache.releaseLock(key, token);
+  }
+
+  /**
+   * Retrouve la session à poursuivre ou en ouvre une nouvelle (avec l'identifiant fourni s'il y en a un).
+   * Le titre est déduit du premier message.
+   */
+  async open(userId, sessionId, firstMessage) {
+    const existing = sessionId ? await this.get(userId, sessionId) : null;
+    if (existing) return existing;
+
+    const now = new Date().toISOString();
+    return {
+      id: sessionId || uuidv4(),
+      userId,
+      title: buildTitle(firstMessage),
+      createdAt: now,
+      updatedAt: now,
+      history: []
+    };
+  }
+
+  /**
+   * Enregistre la session et la place en tête de l'index de son utilisateur (création ou nouveau message)
+   */
+  async save(session) {
+    session.updatedAt = new Date().toISOString();
+    await redisClient.setEx(this.key(session.userId, session.id), this.ttl, JSON.stringify(session));
+
+    const indexKey = this.indexKey(session.userId);
+    await redisClient.zAdd(indexKey, { score: Date.parse(session.updatedAt), value: session.id });
+    // L'index vit aussi longtemps que la session la plus récente
+    await redisClient.expire(indexKey, this.ttl);
+    return session;
+  }
+
+  /**
+   * Messages affichables d'une session : messages utilisateur et réponses finales,
+   * les appels d'outils intermédiaires restent internes
+   */
+  visibleMessages(session) {
+    return session.history
+      .filter(m => m.role === 'user' || (m.role === 'assistant' && m.content && !m.tool_calls))
+      .map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Résumé d'une session pour les listes (sans l'historique)
+   */
+  summarize(session) {
+    const { id, title, createdAt, updatedAt } = session;
+    return { id, title, createdAt, updatedAt, messageCount: this.visibleMessages(session).length };
+  }
+
+  /**
+   * Sessions d'un utilisateur, les plus récentes d'abord, lues depuis son index. Les sessions
+   * expirées (TTL) sont retirées de l'index au passage.
+   */
+  async list(userId) {
+    const indexKey = this.indexKey(userId);
+    await redisClient.zRemRangeByScore(indexKey, 0, Date.now() - this.ttl * 1000);
+    const sessionIds = await redisClient.zRange(indexKey, 0, -1, { REV: true });
+    const sessions = [];
+    const expired = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await this.get(userId, sessionId);
+      if (session) sessions.push(this.summarize(session));
+      else expired.push(sessionId);
+    }
+    if (expired.length > 0) await redisClient.zRem(indexKey, expired);
+    return sessions;
+  }
+
+  /**
+   * Supprime une session, retourne false si elle n'existe pas pour cet utilisateur
+   */
+  async delete(userId, sessionId) {
+    const deleted = await redisClient.del(this.key(userId, sessionId));
+    await redisClient.zRem(this.indexKey(userId), sessionId);
+    return deleted > 0;
+  }
+}
+
+module.exports = new ChatSessionService();
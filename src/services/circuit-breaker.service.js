@@ -0,0 +1,140 @@
+// src/services/circuit-breaker.service.js
+// Disjoncteurs par fournisseur LLM et modèle : court-circuite les appels vers un amont défaillant
+
+const logger = require('../config/logger');
+const { metrics } = require('../middlewares/metrics');
+
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || 30000;
+
+/**
+ * Disjoncteur classique à trois états :
+ * - closed : les appels passent, les échecs consécutifs sont comptés
+ * - open : les appels sont refusés jusqu'à la fin du délai de refroidissement
+ * - half_open : un seul appel de test est autorisé ; son résultat referme ou rouvre le disjoncteur
+ */
+class CircuitBreaker {
+  constructor(provider, model, { failureThreshold = FAILURE_THRESHOLD, cooldownMs = COOLDOWN_MS } = {}) {
+    this.provider = provider;
+    this.model = model;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.totalFailures = 0;
+    this.totalRejected = 0;
+
+    metrics.updateCircuitBreakerState(provider, model, this.state);
+  }
+
+  /**
+   * Indique si un appel peut être tenté (et réserve l'appel de test en semi-ouvert)
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.transition('half_open');
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.totalRejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.totalFailures++;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = new Date().toISOString();
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.probeInFlight = false;
+      this.openedAt = Date.now();
+      if (this.state !== 'open') {
+        this.transition('open');
+      }
+    }
+  }
+
+  /**
+   * Libère l'appel de test sans conclure (erreur imputable à la requête, pas à l'amont)
+   */
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  transition(state) {
+    const level = state === 'open' ? 'warn' : 'info';
+    logger[level](`Disjoncteur ${this.provider}/${this.model}: ${this.state} -> ${state}`);
+    this.state = state;
+    metrics.updateCircuitBreakerState(this.provider, this.model, state);
+    metrics.recordCircuitBreakerTransition(this.provider, this.model, state);
+  }
+
+  getStats() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      totalFailures: this.totalFailures,
+      totalRejected: this.totalRejected,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt
+    };
+  }
+}
+
+class CircuitBreakerRegistry {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * Disjoncteur d'un couple fournisseur/modèle (créé au premier appel)
+   */
+  get(provider, model) {
+    const key = `${provider}/${model}`;
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(provider, model));
+    }
+    return this.breakers.get(key);
+  }
+
+  getStats() {
+    const stats = {};
+    for (const [key, breaker] of this.breakers) {
+      stats[key] = breaker.getStats();
+    }
+    return stats;
+  }
+
+  hasOpenCircuit() {
+    return [...this.breakers.values()].some(breaker => breaker.state === 'open');
+  }
+}
+
+const circuitBreakers = new CircuitBreakerRegistry();
+
+module.exports = { circuitBreakers, CircuitBreaker };
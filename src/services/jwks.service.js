@@ -0,0 +1,142 @@
+// src/services/jwks.service.js
+// Clés publiques des émetteurs de jetons utilisateur : cache, rafraîchissement en arrière-plan,
+// rechargement sur `kid` inconnu (rotation des clés) et mode fichier JWKS local
+
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const jwksClient = require('jwks-rsa');
+const authConfig = require('../config/auth');
+const logger = require('../config/logger');
+
+// Store partagé par tous les émetteurs en mode fichier
+const FILE_STORE = 'file';
+
+class JwksService {
+  constructor() {
+    // Par émetteur (ou FILE_STORE) : { keys: Map(kid -> clé publique PEM), expiresAt, lastRefetchAt, inFlight }
+    this.stores = new Map();
+    this.refreshTimer = null;
+  }
+
+  storeFor(name) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, { keys: null, expiresAt: 0, lastRefetchAt: 0, inFlight: null });
+    }
+    return this.stores.get(name);
+  }
+
+  /**
+   * Client jwks-rsa sans cache (le cache est tenu ici) ; en mode fichier, le JWKS est lu sur disque
+   */
+  clientFor(jwksUri, settings) {
+    return jwksClient({
+      jwksUri,
+      cache: false,
+      timeout: settings.timeoutMs,
+      ...(settings.jwksFile && {
+        fetcher: async () => JSON.parse(await fs.promises.readFile(path.resolve(settings.jwksFile), 'utf8'))
+      })
+    });
+  }
+
+  /**
+   * Recharge les clés d'un store ; les rechargements simultanés partagent la même requête.
+   * En cas d'échec, les clés déjà connues restent utilisées.
+   */
+  refresh(name, jwksUri, settings, reason) {
+    const store = this.storeFor(name);
+    if (store.inFlight) return store.inFlight;
+
+    store.inFlight = this.clientFor(jwksUri, settings).getSigningKeys()
+      .then(signingKeys => {
+        store.keys = new Map(signingKeys.map(key => [key.kid, key.getPublicKey()]));
+        store.expiresAt = Date.now() + settings.cacheTtlMs;
+        logger.info(`JWKS chargé pour ${name} (${reason}) : ${store.keys.size} clé(s)`, { jwksUri, kids: [...store.keys.keys()] });
+      })
+      .catch(error => {
+        logger.error(`Échec du chargement du JWKS pour ${name} (${reason})`, { jwksUri, error: error.message });
+        if (!store.keys) throw error;
+        // Clés périmées conservées, nouvel essai après le délai de rechargement
+        store.expiresAt = Date.now() + settings.refetchCooldownMs;
+      })
+      .finally(() => {
+        store.inFlight = null;
+      });
+    return store.inFlight;
+  }
+
+  findKey(store, kid) {
+    if (!store.keys) return null;
+    if (kid) return store.keys.get(kid) || null;
+    // Jeton sans `kid` : accepté seulement si le JWKS ne contient qu'une clé
+    return store.keys.size === 1 ? [...store.keys.values()][0] : null;
+  }
+
+  /**
+   * Clé publique vérifiant un jeton de l'émetteur `iss` signé avec la clé `kid`.
+   * Un `kid` inconnu déclenche un rechargement (rotation), au plus une fois par
+   * AUTH_JWKS_REFETCH_COOLDOWN_MS pour qu'une série de jetons forgés ne sollicite pas l'émetteur.
+   * Lève une JsonWebTokenError pour un émetteur non autorisé ou une clé introuvable.
+   *
+   * @param {string} iss
+   * @param {string} [kid]
+   * @returns {Promise<string>} Clé publique PEM
+   */
+  async getSigningKey(iss, kid) {
+    const settings = authConfig.resolve();
+    const issuer = settings.issuers.find(entry => entry.issuer === iss);
+    if (!issuer) {
+      throw new jwt.JsonWebTokenError(`émetteur non autorisé : ${iss || 'absent'}`);
+    }
+
+    const name = settings.jwksFile ? FILE_STORE : issuer.issuer;
+    const jwksUri = settings.jwksFile ? `file://${settings.jwksFile}` : issuer.jwksUri;
+    const store = this.storeFor(name);
+    this.startBackgroundRefresh(settings);
+
+    let refreshed = false;
+    if (!store.keys || Date.now() >= store.expiresAt) {
+      await this.refresh(name, jwksUri, settings, store.keys ? 'cache expiré' : 'premier chargement');
+      refreshed = true;
+    }
+
+    let key = this.findKey(store, kid);
+    // Relire un fichier local ne coûte rien : pas de délai minimal
+    const cooldownMs = settings.jwksFile ? 0 : settings.refetchCooldownMs;
+    if (!key && !refreshed && Date.now() - store.lastRefetchAt >= cooldownMs) {
+      store.lastRefetchAt = Date.now();
+      await this.refresh(name, jwksUri, settings, `kid inconnu : ${kid || 'absent'}`);
+      key = this.findKey(store, kid);
+    }
+    if (!key) {
+      throw new jwt.JsonWebTokenError(`clé de signature inconnue (kid: ${kid || 'absent'})`);
+    }
+    return key;
+  }
+
+  /**
+   * Rafraîchit périodiquement les JWKS déjà chargés, pour qu'une rotation de clés soit connue
+   * avant l'arrivée des premiers jetons signés avec la nouvelle clé
+   */
+  startBackgroundRefresh(settings) {
+    if (this.refreshTimer || settings.refreshIntervalMs <= 0) return;
+
+    this.refreshTimer = setInterval(() => {
+      const current = authConfig.resolve();
+      const targets = current.jwksFile
+        ? [[FILE_STORE, `file://${current.jwksFile}`]]
+        : current.issuers.map(({ issuer, jwksUri }) => [issuer, jwksUri]);
+
+      targets
+        .filter(([name]) => this.stores.has(name) && this.stores.get(name).keys)
+        .forEach(([name, jwksUri]) => {
+          this.refresh(name, jwksUri, current, 'rafraîchissement périodique').catch(() => {});
+        });
+    }, settings.refreshIntervalMs);
+    // Ne retient pas le processus (scripts, arrêt du serveur)
+    this.refreshTimer.unref();
+  }
+}
+
+module.exports = new JwksService();
@@ -0,0 +1,140 @@
+// src/services/llm-provider.service.js
+// Registre des fournisseurs LLM et sélection du fournisseur par type d'agent
+
+const logger = require('../config/logger');
+const cachePolicy = require('../config/cache-policy');
+const OpenAIProvider = require('./providers/openai.provider');
+const AzureOpenAIProvider = require('./providers/azure-openai.provider');
+const MockProvider = require('./providers/mock.provider');
+const RecordingProvider = require('./providers/recording.provider');
+
+// Fabriques des fournisseurs disponibles, configurés par variables d'environnement
+const FACTORIES = {
+  openai: () => new OpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  'openai-compatible': () => new OpenAIProvider({
+    name: 'openai-compatible',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+    model: process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1',
+    requiresApiKey: false,
+    requiresBaseURL: true
+  }),
+  azure: () => new AzureOpenAIProvider({
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    deployment: process.env.AZURE_OPENAI_DEPLOYMENT
+  }),
+  mock: () => new MockProvider({
+    fixturesDir: process.env.MOCK_LLM_FIXTURES_DIR
+  })
+};
+
+class LLMProviderService {
+  constructor() {
+    this.defaultName = process.env.LLM_PROVIDER || 'openai';
+    this.providers = new Map();
+    // Enregistrement (record) ou rejeu hors ligne (replay) des appels LLM, pour les tests
+    this.recordMode = ['record', 'replay'].includes(process.env.LLM_RECORD_MODE)
+      ? process.env.LLM_RECORD_MODE
+      : null;
+
+    if (process.env.LLM_RECORD_MODE && process.env.LLM_RECORD_MODE !== 'off' && !this.recordMode) {
+      logger.error(`LLM_RECORD_MODE inconnu: ${process.env.LLM_RECORD_MODE} (valeurs possibles: record, replay, off)`);
+    } else if (this.recordMode) {
+      logger.info(`🎞️ Appels LLM en mode ${this.recordMode}`);
+    }
+
+    if (!FACTORIES[this.defaultName]) {
+      logger.error(`Fournisseur LLM inconnu: ${this.defaultName} (valeurs possibles: ${Object.keys(FACTORIES).join(', ')})`);
+    } else if (!this.get(this.defaultName).isConfigured()) {
+      logger.warn(`Fournisseur LLM ${this.defaultName} non configuré : les agents répondront en mode dégradé`);
+    }
+  }
+
+  /**
+   * Instance d'un fournisseur par nom (créée une seule fois)
+   */
+  get(name) {
+    if (!this.providers.has(name)) {
+      const factory = FACTORIES[name];
+      if (!factory) {
+        const error = new Error(`Fournisseur LLM inconnu: ${name}`);
+        error.code = 'provider_not_configured';
+        throw error;
+      }
+      const provider = factory();
+      this.providers.set(name, this.recordMode
+        ? new RecordingProvider(provider, {
+          mode: this.recordMode,
+          recordingsDir: process.env.LLM_RECORDINGS_DIR
+        })
+        : provider);
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Nom du fournisseur d'un type d'agent.
+   * Priorité : LLM_PROVIDER_<AGENT> > LLM_PROVIDER_<GROUPE> > LLM_PROVIDER > openai
+   */
+  resolveName(agentType) {
+    const policy = cachePolicy.resolve(agentType);
+    const byAgent = process.env[`LLM_PROVIDER_${cachePolicy.envName(policy.agentType)}`];
+    const byGroup = policy.group ? process.env[`LLM_PROVIDER_${cachePolicy.envName(policy.group)}`] : undefined;
+    return byAgent || byGroup || this.defaultName;
+  }
+
+  forAgent(agentType) {
+    return this.get(this.resolveName(agentType));
+  }
+
+  getDefault() {
+    return this.get(this.defaultName);
+  }
+
+  /**
+   * Disponibilité du fournisseur par défaut : available | unavailable | not_configured
+   */
+  async checkDefault() {
+    let provider;
+    try {
+      provider = this.getDefault();
+    } catch (error) {
+      return 'not_configured';
+    }
+    if (!provider.isConfigured()) return 'not_configured';
+
+    try {
+      await provider.ping();
+      return 'available';
+    } catch (error) {
+      logger.warn(`Fournisseur LLM ${provider.name} non disponible:`, error.message);
+      return 'unavailable';
+    }
+  }
+
+  /**
+   * Fournisseurs utilisés (par défaut et surcharges par agent) et leur configuration
+   */
+  describe() {
+    const agents = Object.keys(cachePolicy.describe()).reduce((acc, agentType) => {
+      acc[agentType] = this.resolveName(agentType);
+      return acc;
+    }, {});
+
+    const providers = {};
+    for (const name of new Set([this.defaultName, ...Object.values(agents)])) {
+      providers[name] = FACTORIES[name] ? this.get(name).describe() : { name, configured: false, error: 'Fournisseur inconnu' };
+    }
+
+    return { default: this.defaultName, agents, providers };
+  }
+}
+
+module.exports = new LLMProviderService();
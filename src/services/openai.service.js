@@ -1,60 +1,268 @@
 // src/services/openai.service.js
 // Service OpenAI principal pour les agents IA
 
-const OpenAI = require('openai');
 const logger = require('../config/logger');
-const { aiCache } = require('../config/redis');
+const { redisClient, aiCache } = require('../config/redis');
+const cachePolicy = require('../config/cache-policy');
+const { cacheStats } = require('./cache-stats.service');
+const llmProviders = require('./llm-provider.service');
+const { circuitBreakers } = require('./circuit-breaker.service');
 const { metrics } = require('../middlewares/metrics');
+const { ChunkAccumulator } = require('./providers/stream-chunks');
+const { usageLedger } = require('./usage-ledger.service');
+const redaction = require('./redaction.service');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Erreur à remonter au client avec un code HTTP (exploité par errorHandler)
+ */
+const createHttpError = (message, statusCode, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Appel annulé par son demandeur (client déconnecté)
+const abortedError = () => {
+  const error = new Error('Appel annulé');
+  error.code = 'aborted';
+  return error;
+};
+
+/**
+ * Qualifie une erreur de fournisseur :
+ * - retryable : une nouvelle tentative a une chance d'aboutir
+ * - upstreamFailure : l'échec est imputable à l'amont et compte pour le disjoncteur
+ */
+const classifyError = (error) => {
+  if (['provider_not_configured', 'recording_not_found', 'aborted'].includes(error.code)) {
+    return { retryable: false, upstreamFailure: false, reason: error.code };
+  }
+  if (error.code === 'insufficient_quota') {
+    return { retryable: false, upstreamFailure: true, reason: 'quota' };
+  }
+  if (error.status === 429) {
+    return { retryable: true, upstreamFailure: true, reason: 'rate_limit' };
+  }
+  if (error.code === 'timeout' || error.name === 'APIConnectionTimeoutError' || error.status === 408) {
+    return { retryable: true, upstreamFailure: true, reason: 'timeout' };
+  }
+  if (error.name === 'APIConnectionError' || ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)) {
+    return { retryable: true, upstreamFailure: true, reason: 'connection' };
+  }
+  if (error.status === 409 || error.status >= 500) {
+    return { retryable: true, upstreamFailure: true, reason: 'server_error' };
+  }
+  if (error.status === undefined) {
+    // Erreur inattendue du fournisseur (hors HTTP) : non rejouée mais comptée par le disjoncteur
+    return { retryable: false, upstreamFailure: true, reason: 'unknown' };
+  }
+  // Autres 4xx : la requête elle-même est en cause, la rejouer ne changerait rien
+  return { retryable: false, upstreamFailure: false, reason: 'client_error' };
+};
+
+/**
+ * Délai imposé par l'amont (en-têtes retry-after-ms ou Retry-After en secondes ou date HTTP), en ms
+ */
+const parseRetryAfter = (headers) => {
+  if (!headers) return null;
+  const read = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(read('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = read('retry-after');
+  if (!retryAfter) return null;
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
 
 class OpenAIService {
   constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY non configurée');
-    }
-
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    // Le fournisseur LLM (OpenAI, compatible OpenAI, Azure, mock) est choisi par agent :
+    // sans clé configurée, le service démarre et les agents répondent en mode dégradé
+    this.providers = llmProviders;
     this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 2000;
     this.temperature = parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7;
+    // Nouvelles tentatives avec backoff exponentiel et gigue, délai maximal par tentative
+    this.retry = {
+      maxRetries: parseInt(process.env.LLM_MAX_RETRIES) >= 0 ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+      baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 500,
+      maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 10000,
+      timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000
+    };
     this.useCache = process.env.USE_CACHE !== 'false'; // Désactivable via variable d'environnement
+
+    // Requêtes OpenAI en cours par clé de cache (fusion des requêtes identiques simultanées)
+    this.inFlight = new Map();
+    // Verrou distribué de régénération, utilisé uniquement lorsque Redis est actif
+    this.cacheLock = {
+      enabled: process.env.CACHE_LOCK_ENABLED !== 'false',
+      ttlMs: parseInt(process.env.CACHE_LOCK_TTL_MS) || 30000,
+      waitMs: parseInt(process.env.CACHE_LOCK_WAIT_MS) || 10000,
+      pollMs: parseInt(process.env.CACHE_LOCK_POLL_MS) || 200
+    };
   }
 
   /**
-   * Appel générique à OpenAI avec gestion du cache et des erreurs
+   * Appel générique à OpenAI avec gestion du cache et des erreurs.
+   * `options.onDelta(texte)` active la lecture en flux : chaque fragment de la réponse lui est
+   * transmis dès réception (une réponse servie par le cache ou de repli n'est pas découpée).
+   * `options.signal` (AbortSignal) annule l'appel d'un tour sans cache et lève une erreur de code
+   * `aborted` ; un appel partagé par le cache n'appartient pas à un seul demandeur et l'ignore.
+   * Les données sensibles du prompt sont masquées avant tout usage, clé de cache comprise
+   * (voir redaction.service).
    */
   async callOpenAI(prompt, agentType, options = {}) {
-    const startTime = Date.now();
+    ({ prompt } = redaction.redactPrompt(prompt));
+
+    // Politique de cache : nommée explicitement ou déduite du type d'agent
+    const policy = cachePolicy.resolve(options.cachePolicy || agentType);
+    // Un tour avec outils dépend de leurs résultats : jamais servi ni stocké par le cache
+    const useCache = this.useCache && !policy.noCache && !options.tools;
+    // bypassCache (Cache-Control: no-cache) force une réponse fraîche qui rafraîchit le cache,
+    // noStore (Cache-Control: no-store) empêche en plus sa mise en cache
+    // En mode record, chaque appel doit atteindre le fournisseur pour être enregistré
+    const readCache = useCache && !options.bypassCache && this.providers.recordMode !== 'record';
+    const writeCache = useCache && !options.noStore;
     let cacheKey;
-    
+
     try {
-      // Génération de la clé de cache
+      // Génération de la clé de cache (tranche de temps pour les agents « live »)
+      const salt = cachePolicy.keySalt(policy);
       if (typeof prompt === 'string') {
-        cacheKey = aiCache.generateCacheKey(prompt, agentType);
+        cacheKey = aiCache.generateCacheKey(prompt, agentType, salt);
       } else if (Array.isArray(prompt)) {
         // Si prompt est un tableau de messages, utiliser une clé basée sur le contenu
         const promptString = JSON.stringify(prompt);
-        cacheKey = aiCache.generateCacheKey(promptString, agentType);
+        cacheKey = aiCache.generateCacheKey(promptString, agentType, salt);
       } else {
         throw new Error('Format de prompt invalide');
       }
-      
-      // Vérification du cache si activé
-      if (this.useCache) {
-        try {
-          const cached = await aiCache.get(cacheKey);
-          if (cached) {
+    } catch (error) {
+      logger.error({ message: 'Erreur OpenAI', agentType, error: error.message });
+      return this.getFallbackResponse(agentType, prompt);
+    }
+
+    const context = { policy, cacheKey, writeCache };
+
+    // Vérification du cache si activé
+    if (readCache) {
+      try {
+        const cached = await aiCache.get(cacheKey);
+        if (cached) {
+          const { freshUntil, ...payload } = cached;
+          const stale = freshUntil && Date.parse(freshUntil) <= Date.now();
+
+          if (!stale) {
             logger.info(`Cache hit pour ${agentType}`);
             metrics.recordAICall(agentType, 'success', true);
-            return cached;
+            return { ...payload, cached: true };
           }
-        } catch (cacheError) {
-          logger.warn(`Erreur cache pour ${agentType}, utilisation directe API:`, cacheError.message);
+
+          // Stale-while-revalidate : réponse périmée servie, une seule régénération en arrière-plan
+          logger.info(`Réponse périmée servie pour ${agentType}, régénération en arrière-plan`);
+          cacheStats.record('stale', cacheKey);
+          metrics.recordAICall(agentType, 'success', true);
+          this.singleFlight(cacheKey, () => this.regenerate(prompt, agentType, options, context, { background: true }))
+            .catch(error => logger.warn(`Échec de la régénération en arrière-plan pour ${agentType}:`, error.message));
+          return { ...payload, cached: true, stale: true };
         }
+      } catch (cacheError) {
+        logger.warn(`Erreur cache pour ${agentType}, utilisation directe API:`, cacheError.message);
       }
+    }
+
+    if (!useCache) {
+      return this.requestCompletion(prompt, agentType, options, { ...context, signal: options.signal });
+    }
+
+    // Requêtes identiques simultanées : un seul appel OpenAI, partagé par toutes
+    if (this.inFlight.has(cacheKey)) {
+      logger.info(`Requête identique en cours pour ${agentType}, attente de son résultat`);
+      cacheStats.record('coalesced', cacheKey);
+      const result = await this.inFlight.get(cacheKey);
+      // null : régénération d'arrière-plan cédée à un autre réplica, on appelle donc nous-mêmes
+      if (result) return { ...result, coalesced: true };
+    }
+    return this.singleFlight(cacheKey, () => this.regenerate(prompt, agentType, options, context));
+  }
+
+  /**
+   * Exécute `task` une seule fois par clé : les appels concurrents reçoivent la même promesse
+   */
+  singleFlight(cacheKey, task) {
+    if (this.inFlight.has(cacheKey)) {
+      return this.inFlight.get(cacheKey);
+    }
+
+    const promise = task().finally(() => this.inFlight.delete(cacheKey));
+    this.inFlight.set(cacheKey, promise);
+    return promise;
+  }
 
+  /**
+   * Régénère une entrée du cache. Avec Redis, un verrou distribué garantit qu'un seul
+   * réplica appelle OpenAI : les autres attendent que la nouvelle entrée soit écrite.
+   */
+  async regenerate(prompt, agentType, options, context, { background = false } = {}) {
+    if (!this.cacheLock.enabled || redisClient.mode !== 'redis') {
+      return this.requestCompletion(prompt, agentType, options, context);
+    }
+
+    const { cacheKey } = context;
+    const token = await aiCache.acquireLock(cacheKey, this.cacheLock.ttlMs);
+    if (!token) {
+      // Une régénération en arrière-plan n'a rien à attendre : l'entrée périmée reste servie
+      if (background) return null;
+
+      logger.info(`Régénération en cours sur un autre réplica pour ${agentType}, attente du cache`);
+      const cached = await this.waitForFreshEntry(cacheKey);
+      if (cached) {
+        cacheStats.record('coalesced', cacheKey);
+        metrics.recordAICall(agentType, 'success', true);
+        const { freshUntil, ...payload } = cached;
+        return { ...payload, cached: true, coalesced: true };
+      }
+      // Délai dépassé (réplica lent ou tombé) : mieux vaut régénérer que bloquer la requête
+      logger.warn(`Attente du verrou expirée pour ${agentType}, régénération locale`);
+      return this.requestCompletion(prompt, agentType, options, context);
+    }
+
+    try {
+      return await this.requestCompletion(prompt, agentType, options, context);
+    } finally {
+      await aiCache.releaseLock(cacheKey, token);
+    }
+  }
+
+  /**
+   * Attend qu'une entrée fraîche apparaisse dans le cache (écrite par le détenteur du verrou)
+   */
+  async waitForFreshEntry(cacheKey) {
+    const deadline = Date.now() + this.cacheLock.waitMs;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.cacheLock.pollMs));
+      const cached = await aiCache.peek(cacheKey);
+      if (cached && (!cached.freshUntil || Date.parse(cached.freshUntil) > Date.now())) {
+        return cached;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Appel effectif à OpenAI, mise en cache du résultat et repli statique en cas d'erreur
+   */
+  async requestCompletion(prompt, agentType, options, { policy, cacheKey, writeCache, signal = null }) {
+    const startTime = Date.now();
+
+    try {
       // Configuration de la requête
       let messages;
       if (typeof prompt === 'string') {
@@ -74,8 +282,9 @@ class OpenAIService {
         throw new Error('Format de prompt invalide');
       }
 
+      const provider = this.providers.forAgent(policy.agentType);
       const requestConfig = {
-        model: options.model || this.model,
+        model: options.model || provider.model,
         messages: messages,
         max_tokens: options.maxTokens || this.maxTokens,
         temperature: options.temperature || this.temperature
@@ -94,9 +303,12 @@ class OpenAIService {
         }
       }
 
-      // Appel à OpenAI
-      logger.info(`Appel OpenAI pour ${agentType}`);
-      const response = await this.client.chat.completions.create(requestConfig);
+      // Appel au fournisseur LLM de l'agent
+      logger.info(`Appel ${provider.name} pour ${agentType}`);
+      const response = await this.callProvider(provider, requestConfig, {
+        agentType: policy.agentType,
+        group: policy.group
+      }, options.timeoutMs || this.retry.timeoutMs, options.onDelta, signal);
 
       // Vérification de la réponse
       if (!response || !response.choices || !response.choices[0] || !response.choices[0].message) {
@@ -108,16 +320,27 @@ class OpenAIService {
         content: response.choices[0].message.content,
         choices: response.choices,
         model: response.model,
+        provider: provider.name,
         usage: response.usage,
         timestamp: new Date().toISOString(),
-        agentType
+        agentType,
+        cached: false
       };
 
       // Mise en cache du résultat si activé
-      if (this.useCache) {
+      if (writeCache) {
         try {
-          const ttl = options.cacheTTL || 3600; // 1 heure par défaut
-          await aiCache.set(cacheKey, result, ttl);
+          const payloadSize = Buffer.byteLength(JSON.stringify(result));
+          if (payloadSize > policy.maxPayloadBytes) {
+            logger.info(`Réponse non mise en cache pour ${agentType}: ${payloadSize} octets > ${policy.maxPayloadBytes}`);
+          } else {
+            const ttl = options.cacheTTL || policy.ttl;
+            // Tags d'invalidation : ceux fournis par l'appelant + services référencés dans la réponse
+            const tags = [...(options.cacheTags || []), ...aiCache.extractServiceTags(result.content)];
+            // L'entrée survit `staleSeconds` après sa péremption pour le stale-while-revalidate
+            const freshUntil = new Date(Date.now() + ttl * 1000).toISOString();
+            await aiCache.set(cacheKey, { ...result, freshUntil }, ttl + policy.staleSeconds, { tags });
+          }
         } catch (cacheError) {
           logger.warn(`Erreur mise en cache pour ${agentType}:`, cacheError.message);
         }
@@ -128,11 +351,17 @@ class OpenAIService {
       metrics.recordAICall(agentType, 'success', false);
       metrics.recordResponseTime(agentType, duration);
 
+      // Comptabilité des tokens et du coût (appels réellement facturés : ni cache ni repli), à jour
+      // avant le retour pour que l'appel suivant d'une boucle d'outils voie le quota consommé
+      await usageLedger.record({ agentType: policy.agentType, model: requestConfig.model, usage: response.usage });
+
       logger.info({
         message: 'Réponse OpenAI reçue',
         agentType,
+        provider: provider.name,
         duration,
-        tokens: response.usage.total_tokens,
+        // Certains serveurs compatibles OpenAI ne renvoient pas l'usage
+        tokens: response.usage ? response.usage.total_tokens : null,
         cached: false
       });
 
@@ -140,6 +369,11 @@ class OpenAIService {
 
     } catch (error) {
       const duration = (Date.now() - startTime) / 1000;
+      if (error.code === 'aborted') {
+        // Demandeur parti : ni erreur ni réponse de repli à produire
+        logger.info(`Appel ${agentType} annulé par le demandeur après ${duration} s`);
+        throw error;
+      }
       metrics.recordAICall(agentType, 'error', false);
       metrics.recordResponseTime(agentType, duration);
 
@@ -151,23 +385,151 @@ class OpenAIService {
       });
 
       // Gestion des erreurs spécifiques
-      if (error.code === 'rate_limit_exceeded') {
-        throw new Error('Limite de taux API dépassée. Veuillez réessayer plus tard.');
+      if (error.code === 'recording_not_found') {
+        // En rejeu, une requête inconnue doit faire échouer le test, pas produire un fallback
+        throw error;
       }
 
+
       if (error.code === 'insufficient_quota') {
-        throw new Error('Quota API insuffisant.');
+        throw createHttpError('Quota API insuffisant.', 503);
       }
 
-      if (error.code === 'invalid_request_error') {
-        throw new Error('Requête invalide: ' + error.message);
+      if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+        const retryAfterMs = parseRetryAfter(error.headers);
+        throw createHttpError('Limite de taux API dépassée. Veuillez réessayer plus tard.', 429, {
+          retryAfter: retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : undefined
+        });
+      }
+
+      if (error.code === 'invalid_request_error' || error.type === 'invalid_request_error') {
+        throw createHttpError('Requête invalide: ' + error.message, 502);
       }
 
       // Fallback vers les réponses statiques en cas d'erreur
+      // (disjoncteur ouvert, délai dépassé, amont indisponible après les nouvelles tentatives)
       return this.getFallbackResponse(agentType, prompt);
     }
   }
 
+  /**
+   * Appelle le fournisseur derrière son disjoncteur, avec délai maximal par tentative et
+   * nouvelles tentatives (backoff exponentiel à gigue complète, ou délai Retry-After de l'amont).
+   * Avec `onDelta`, la réponse est lue en flux et chaque fragment de texte lui est transmis.
+   * `signal` annule la tentative en cours et les suivantes.
+   */
+  async callProvider(provider, requestConfig, context, timeoutMs, onDelta = null, signal = null) {
+    const breaker = circuitBreakers.get(provider.name, requestConfig.model);
+    if (!breaker.allowRequest()) {
+      const error = new Error(`Disjoncteur ouvert pour ${provider.name}/${requestConfig.model}`);
+      error.code = 'circuit_open';
+      throw error;
+    }
+
+    const stream = { emitted: false };
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.withTimeout((signal, touch) => {
+          const providerContext = { ...context, signal, timeoutMs };
+          return onDelta
+            ? this.consumeStream(provider, requestConfig, providerContext, touch, (delta) => {
+              stream.emitted = true;
+              onDelta(delta);
+            })
+            : provider.createChatCompletion(requestConfig, providerContext);
+        }, timeoutMs, signal);
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        const { retryable, upstreamFailure, reason } = classifyError(error);
+        // Une réponse déjà partiellement transmise au client ne peut pas être rejouée
+        const canRetry = retryable && !stream.emitted && attempt < this.retry.maxRetries;
+        const delay = canRetry ? this.getRetryDelay(error, attempt) : null;
+
+        if (delay === null) {
+          if (upstreamFailure) {
+            breaker.recordFailure(error);
+          } else {
+            breaker.releaseProbe();
+          }
+          throw error;
+        }
+
+        metrics.recordLLMRetry(provider.name, requestConfig.model, reason);
+        logger.warn(`Nouvelle tentative ${attempt + 1}/${this.retry.maxRetries} pour ${provider.name}/${requestConfig.model} dans ${delay} ms (${reason})`);
+        await sleep(delay);
+        if (signal && signal.aborted) {
+          breaker.releaseProbe();
+          throw abortedError();
+        }
+      }
+    }
+  }
+
+  /**
+   * Lit un flux de fragments, transmet le texte au fil de l'eau et retourne la complétion complète.
+   * Le délai maximal s'applique alors entre deux fragments, pas à la réponse entière.
+   */
+  async consumeStream(provider, requestConfig, context, touch, onDelta) {
+    const stream = await provider.streamChatCompletion(requestConfig, context);
+    const accumulator = new ChunkAccumulator();
+
+    for await (const chunk of stream) {
+      touch();
+      const delta = accumulator.add(chunk);
+      if (delta) onDelta(delta);
+    }
+    return accumulator.toCompletion();
+  }
+
+  /**
+   * Délai avant la prochaine tentative, null si l'amont impose d'attendre plus que LLM_RETRY_MAX_DELAY_MS
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfterMs = parseRetryAfter(error.headers);
+    if (retryAfterMs !== null) {
+      return retryAfterMs <= this.retry.maxDelayMs ? Math.ceil(retryAfterMs) : null;
+    }
+    const ceiling = Math.min(this.retry.maxDelayMs, this.retry.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Rejette après `timeoutMs` sans activité, ou dès que `signal` est annulé, et annule l'appel en
+   * cours via son AbortSignal. `task` reçoit le signal et une fonction `touch` qui réarme le délai (lecture en flux).
+   */
+  async withTimeout(task, timeoutMs, signal = null) {
+    const controller = new AbortController();
+    let timer;
+    let rejectTimeout;
+    const timeout = new Promise((resolve, reject) => {
+      rejectTimeout = reject;
+    });
+    const onAbort = () => {
+      controller.abort();
+      rejectTimeout(abortedError());
+    };
+    if (signal && signal.aborted) onAbort();
+    else if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const touch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        controller.abort();
+        const error = new Error(`Délai dépassé (${timeoutMs} ms)`);
+        error.code = 'timeout';
+        rejectTimeout(error);
+      }, timeoutMs);
+    };
+
+    touch();
+    try {
+      return await Promise.race([task(controller.signal, touch), timeout]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
   /**
    * Obtient le prompt système approprié selon l'agent
    */
@@ -0,0 +1,124 @@
+// src/services/permission.service.js
+// Évaluation des permissions d'un utilisateur à partir de la table centrale (src/config/permissions.js)
+
+const { PERMISSIONS, ROLE_PERMISSIONS, SCOPE_PERMISSIONS, ROUTE_POLICIES } = require('../config/permissions');
+const { envName } = require('../config/cache-policy');
+
+const readList = (name) => {
+  if (process.env[name] === undefined) return undefined;
+  return process.env[name].split(',').map(value => value.trim()).filter(Boolean);
+};
+
+/**
+ * Une permission accordée couvre-t-elle la permission demandée (`*`, `ai:ops:*`, égalité)
+ */
+const covers = (granted, permission) => {
+  if (granted === '*' || granted === permission) return true;
+  return granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1));
+};
+
+class PermissionService {
+  /**
+   * Permissions d'un rôle : PERMISSIONS_ROLE_<ROLE> si défini, sinon la table par défaut
+   */
+  rolePermissions(role) {
+    return readList(`PERMISSIONS_ROLE_${envName(role)}`) || ROLE_PERMISSIONS[role] || [];
+  }
+
+  /**
+   * Rôles retenus pour une requête sans utilisateur : aucun, sauf en développement où `optionalAuth`
+   * laisse passer les requêtes anonymes avec le rôle en lecture seule `viewer` (ni génération, ni outils, ni cache)
+   */
+  anonymousRoles() {
+    return process.env.NODE_ENV === 'development' ? ['viewer'] : [];
+  }
+
+  /**
+   * Permissions accordées par les scopes d'un jeton de service : PERMISSIONS_SCOPE_<SCOPE> si défini,
+   * sinon la table par défaut ; un scope `ai:...` vaut permission
+   */
+  scopePermissions(scopes) {
+    const granted = scopes.flatMap(scope => {
+      if (scope.startsWith('ai:')) return [scope];
+      return readList(`PERMISSIONS_SCOPE_${envName(scope)}`) || SCOPE_PERMISSIONS[scope] || [];
+    });
+    return [...new Set(granted)];
+  }
+
+  /**
+   * Permissions accordées à un utilisateur : celles de ses rôles et celles portées par son jeton.
+   * Un utilisateur transmis par un service (`via`) n'obtient que celles que les scopes du service
+   * accordent aussi : les rôles d'un claim `user` ne suffisent pas à obtenir davantage.
+   */
+  grantedPermissions(user) {
+    const roles = user ? user.roles || [] : this.anonymousRoles();
+    const granted = new Set(roles.flatMap(role => this.rolePermissions(role)));
+    for (const permission of (user && user.permissions) || []) {
+      granted.add(permission);
+    }
+    if (!user || !user.via) return [...granted];
+
+    const own = [...granted];
+    return Object.keys(PERMISSIONS).filter(permission =>
+      this.hasPermission(own, permission) && this.hasPermission(user.servicePermissions || [], permission));
+  }
+
+  hasPermission(granted, permission) {
+    return granted.some(entry => covers(entry, permission));
+  }
+
+  /**
+   * Évalue une exigence (permission, allOf, anyOf) contre les permissions accordées
+   */
+  evaluate(requirement, granted) {
+    if (typeof requirement === 'string') return this.hasPermission(granted, requirement);
+    if (requirement.allOf) return requirement.allOf.every(item => this.evaluate(item, granted));
+    if (requirement.anyOf) return requirement.anyOf.some(item => this.evaluate(item, granted));
+    return false;
+  }
+
+  /**
+   * Forme lisible d'une exigence pour les réponses 403 (ex: "ai:ops:analyze AND ai:dashboard:generate")
+   */
+  describeRequirement(requirement) {
+    if (typeof requirement === 'string') return requirement;
+    const [operator, items] = requirement.allOf ? [' AND ', requirement.allOf] : [' OR ', requirement.anyOf];
+    return items
+      .map(item => (typeof item === 'string' ? item : `(${this.describeRequirement(item)})`))
+      .join(operator);
+  }
+
+  /**
+   * Exigence d'une action de la table des routes ; une action inconnue est une erreur de
+   * configuration, levée dès la déclaration de la route
+   */
+  policyFor(action) {
+    const requirement = ROUTE_POLICIES[action];
+    if (!requirement) {
+      throw new Error(`Action sans politique de permissions : ${action}`);
+    }
+    return requirement;
+  }
+
+  can(user, action) {
+    return this.evaluate(this.policyFor(action), this.grantedPermissions(user));
+  }
+
+  /**
+   * Ce que l'utilisateur peut faire, pour que le frontend masque les fonctionnalités inaccessibles
+   */
+  capabilities(user) {
+    const granted = this.grantedPermissions(user);
+
+    return {
+      roles: user ? user.roles || [] : this.anonymousRoles(),
+      permissions: Object.keys(PERMISSIONS).filter(permission => this.hasPermission(granted, permission)),
+      actions: Object.keys(ROUTE_POLICIES).reduce((acc, action) => {
+        acc[action] = this.evaluate(ROUTE_POLICIES[action], granted);
+        return acc;
+      }, {})
+    };
+  }
+}
+
+module.exports = new PermissionService();
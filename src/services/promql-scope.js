@@ -0,0 +1,250 @@
+// src/services/promql-scope.js
+// Réécriture des requêtes PromQL des outils : ajout des sélecteurs de labels obligatoires
+// (ex: tenant="equipe-a") dans chaque sélecteur de série et contrôle des labels restreints (ex: job)
+
+// Mots-clés suivis d'une liste de labels entre parenthèses (pas de sélecteurs à l'intérieur)
+const GROUPING_KEYWORDS = new Set(['by', 'without', 'on', 'ignoring', 'group_left', 'group_right']);
+// Mots-clés, opérateurs d'agrégation (sum by (job) (...)) et littéraux qui ne sont pas des noms de métriques
+const KEYWORDS = new Set([
+  'and', 'or', 'unless', 'atan2', 'bool', 'offset', 'inf', 'nan',
+  'sum', 'min', 'max', 'avg', 'group', 'stddev', 'stdvar', 'count', 'count_values',
+  'bottomk', 'topk', 'quantile', 'limitk', 'limit_ratio'
+]);
+
+const IDENTIFIER_START = /[a-zA-Z_:]/;
+const IDENTIFIER_CHAR = /[a-zA-Z0-9_:]/;
+const NUMBER_CHAR = /[0-9a-zA-Z_.]/;
+
+/**
+ * Requête refusée par le périmètre de l'utilisateur
+ */
+const scopeError = (message) => {
+  const error = new Error(message);
+  error.code = 'TOOL_SCOPE_DENIED';
+  return error;
+};
+
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Échappe les métacaractères d'une valeur littérale dans une expression régulière RE2
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Fin (index après le guillemet fermant) d'une chaîne commençant à `start`
+ */
+const endOfString = (text, start) => {
+  const delimiter = text[start];
+  let i = start + 1;
+  while (i < text.length && text[i] !== delimiter) {
+    if (text[i] === '\\' && delimiter !== '`') i++;
+    i++;
+  }
+  if (i >= text.length) throw scopeError('requête PromQL invalide : chaîne non terminée');
+  return i + 1;
+};
+
+/**
+ * Index du délimiteur fermant correspondant à celui ouvert en `start`, en ignorant les chaînes
+ */
+const closingIndex = (text, start, open, close) => {
+  let depth = 0;
+  let i = start;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = endOfString(text, i);
+      continue;
+    }
+    if (char === open) depth++;
+    if (char === close && --depth === 0) return i;
+    i++;
+  }
+  throw scopeError(`requête PromQL invalide : '${open}' non fermé`);
+};
+
+const unescape = (raw) => {
+  const body = raw.slice(1, -1);
+  return raw[0] === '`' ? body : body.replace(/\\(.)/g, '$1');
+};
+
+/**
+ * Sélecteurs de labels d'un bloc `{...}` : [{ label, op, value, raw }]
+ */
+const parseMatchers = (body) => {
+  const matchers = [];
+  let i = 0;
+  while (i < body.length) {
+    if (/[\s,]/.test(body[i])) {
+      i++;
+      continue;
+    }
+
+    const labelMatch = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(body.slice(i));
+    if (!labelMatch) throw scopeError(`requête PromQL invalide : sélecteur « ${body} »`);
+    const label = labelMatch[0];
+    i += label.length;
+    while (/\s/.test(body[i] || '')) i++;
+
+    const opMatch = /^(=~|!=|!~|=)/.exec(body.slice(i));
+    if (!opMatch) throw scopeError(`requête PromQL invalide : sélecteur « ${body} »`);
+    const op = opMatch[0];
+    i += op.length;
+    while (/\s/.test(body[i] || '')) i++;
+
+    if (!['"', "'", '`'].includes(body[i])) throw scopeError(`requête PromQL invalide : sélecteur « ${body} »`);
+    const end = endOfString(body, i);
+    const raw = body.slice(i, end);
+    matchers.push({ label, op, value: unescape(raw), raw });
+    i = end;
+  }
+  return matchers;
+};
+
+/**
+ * Applique le périmètre à un sélecteur (nom de métrique éventuel et sélecteurs existants)
+ */
+const scopeSelector = (name, body, { required, restricted }) => {
+  const matchers = parseMatchers(body || '');
+  const added = [];
+
+  for (const matcher of required) {
+    const existing = matchers.filter(m => m.label === matcher.label);
+    if (existing.some(m => m.op !== '=' || m.value !== matcher.value)) {
+      throw scopeError(`le label ${matcher.label} est imposé à "${matcher.value}" et ne peut pas être modifié`);
+    }
+    if (existing.length === 0) added.push(`${matcher.label}=${quote(matcher.value)}`);
+  }
+
+  for (const [label, values] of Object.entries(restricted)) {
+    const allowedRegex = values.map(escapeRegex).join('|');
+    const existing = matchers.filter(m => m.label === label);
+    const denied = existing.find(m => !(m.op === '=' && values.includes(m.value)) && !(m.op === '=~' && m.value === allowedRegex));
+    if (denied) {
+      throw scopeError(`${label} "${denied.value}" hors du périmètre autorisé (${values.join(', ')})`);
+    }
+    if (existing.length === 0) added.push(`${label}=~${quote(allowedRegex)}`);
+  }
+
+  const all = [...matchers.map(m => `${m.label}${m.op}${m.raw}`), ...added];
+  return `${name || ''}{${all.join(', ')}}`;
+};
+
+/**
+ * Parcourt les sélecteurs de série d'une requête PromQL (hors chaînes, commentaires, plages,
+ * fonctions et listes de regroupement) ; chaque sélecteur est remplacé par le retour de
+ * `onSelector(nomDeMétrique|null, contenuDesAccolades|null)`
+ */
+const rewriteSelectors = (query, onSelector) => {
+  let output = '';
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (char === '"' || char === "'" || char === '`') {
+      const end = endOfString(query, i);
+      output += query.slice(i, end);
+      i = end;
+      continue;
+    }
+    if (char === '#') {
+      const end = query.indexOf('\n', i) === -1 ? query.length : query.indexOf('\n', i);
+      output += query.slice(i, end);
+      i = end;
+      continue;
+    }
+    // Plage ou sous-requête ([5m], [1h:1m])
+    if (char === '[') {
+      const end = closingIndex(query, i, '[', ']');
+      output += query.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+    // Sélecteur sans nom de métrique ({job="x"})
+    if (char === '{') {
+      const end = closingIndex(query, i, '{', '}');
+      output += onSelector(null, query.slice(i + 1, end));
+      i = end + 1;
+      continue;
+    }
+    // Nombres et durées (5m, 1e3, 0x1f)
+    if (/[0-9.]/.test(char)) {
+      let end = i;
+      while (end < query.length && NUMBER_CHAR.test(query[end])) end++;
+      output += query.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    if (IDENTIFIER_START.test(char)) {
+      let end = i;
+      while (end < query.length && IDENTIFIER_CHAR.test(query[end])) end++;
+      const identifier = query.slice(i, end);
+      let next = end;
+      while (/\s/.test(query[next] || '')) next++;
+      i = end;
+
+      if (GROUPING_KEYWORDS.has(identifier.toLowerCase())) {
+        output += identifier;
+        if (query[next] === '(') {
+          const close = closingIndex(query, next, '(', ')');
+          output += query.slice(end, close + 1);
+          i = close + 1;
+        }
+        continue;
+      }
+      // Fonction ou agrégation
+      if (query[next] === '(' || KEYWORDS.has(identifier.toLowerCase())) {
+        output += identifier;
+        continue;
+      }
+      if (query[next] === '{') {
+        const close = closingIndex(query, next, '{', '}');
+        output += onSelector(identifier, query.slice(next + 1, close));
+        i = close + 1;
+        continue;
+      }
+      output += onSelector(identifier, null);
+      continue;
+    }
+
+    output += char;
+    i++;
+  }
+
+  return output;
+};
+
+/**
+ * Réécrit une requête PromQL pour que chaque sélecteur de série respecte le périmètre :
+ * - `required` : [{ label, value }] ajoutés en égalité (refus si la requête impose une autre valeur) ;
+ * - `restricted` : { label: [valeurs autorisées] } (refus d'une autre valeur, sinon `label=~"a|b"` ajouté).
+ * Idempotent : une requête déjà réécrite est retournée à l'identique.
+ *
+ * @param {string} query
+ * @param {Object} scope
+ * @returns {string}
+ */
+const scopePromQL = (query, { required = [], restricted = {} } = {}) => {
+  if (required.length === 0 && Object.keys(restricted).length === 0) return query;
+
+  const scope = { required, restricted };
+  return rewriteSelectors(query, (name, body) => scopeSelector(name, body, scope));
+};
+
+/**
+ * Sélecteurs de labels de tous les sélecteurs de série d'une requête : [{ metric, label, op, value }]
+ *
+ * @param {string} query
+ * @returns {Array<Object>}
+ */
+const selectorMatchers = (query) => {
+  const matchers = [];
+  rewriteSelectors(query, (name, body) => {
+    parseMatchers(body || '').forEach(({ label, op, value }) => matchers.push({ metric: name, label, op, value }));
+    return '';
+  });
+  return matchers;
+};
+
+module.exports = { scopePromQL, selectorMatchers, scopeError };
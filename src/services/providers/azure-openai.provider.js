@@ -0,0 +1,43 @@
+// src/services/providers/azure-openai.provider.js
+// Fournisseur LLM Azure OpenAI : le modèle désigne le nom du déploiement Azure
+
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openai.provider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.endpoint - Ex: https://mon-ressource.openai.azure.com/
+   * @param {string} config.apiKey - Clé d'API Azure
+   * @param {string} config.apiVersion - Version de l'API Azure OpenAI
+   * @param {string} config.deployment - Déploiement utilisé par défaut
+   */
+  constructor({ endpoint, apiKey, apiVersion, deployment }) {
+    super({ name: 'azure', apiKey, baseURL: endpoint, model: deployment, requiresBaseURL: true });
+    this.type = 'azure';
+    this.apiVersion = apiVersion;
+  }
+
+  createClient() {
+    // Sans déploiement fixé, le SDK route chaque requête vers /deployments/<model>
+    return new AzureOpenAI({
+      endpoint: this.baseURL,
+      apiKey: this.apiKey,
+      apiVersion: this.apiVersion,
+      maxRetries: 0
+    });
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.baseURL && this.model);
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      apiVersion: this.apiVersion
+    };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,113 @@
+// src/services/providers/mock.provider.js
+// Fournisseur LLM déterministe : rejoue des fixtures locales, sans réseau ni clé d'API
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { completionToChunks } = require('./stream-chunks');
+const { estimateTokens } = require('../token-counter');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../data/llm-fixtures');
+
+class MockProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.fixturesDir] - Répertoire des fixtures `<agentType>.json`
+   */
+  constructor({ fixturesDir } = {}) {
+    this.name = 'mock';
+    this.type = 'mock';
+    this.model = 'mock-fixtures';
+    this.fixturesDir = fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.fixtures = this.loadFixtures();
+  }
+
+  /**
+   * Charge les fixtures : un fichier JSON par type d'agent, `default.json` (texte) et
+   * `default-json.json` (mode JSON) en dernier recours.
+   * Format : `{ "content": "..." }` (ou un objet, sérialisé en JSON), ou `{ "message": {...} }`
+   * pour rejouer un message complet (ex: avec `tool_calls`).
+   */
+  loadFixtures() {
+    const fixtures = {};
+    try {
+      for (const file of fs.readdirSync(this.fixturesDir)) {
+        if (path.extname(file) !== '.json') continue;
+        const raw = fs.readFileSync(path.join(this.fixturesDir, file), 'utf8');
+        fixtures[path.basename(file, '.json')] = JSON.parse(raw);
+      }
+    } catch (error) {
+      logger.warn(`Fixtures du fournisseur mock illisibles (${this.fixturesDir}):`, error.message);
+    }
+    return fixtures;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Réponse au format OpenAI construite depuis la fixture de l'agent
+   */
+  async createChatCompletion(requestConfig, { agentType } = {}) {
+    const fixture = this.fixtures[agentType] || this.defaultFixture(requestConfig);
+
+    const message = fixture.message || {
+      role: 'assistant',
+      content: typeof fixture.content === 'string' ? fixture.content : JSON.stringify(fixture.content)
+    };
+    const promptText = JSON.stringify(requestConfig.messages);
+    const promptTokens = estimateTokens(promptText);
+    const completionTokens = estimateTokens(message.content);
+
+    return {
+      id: `mock-${crypto.createHash('md5').update(promptText).digest('hex')}`,
+      object: 'chat.completion',
+      created: 0,
+      model: this.model,
+      choices: [
+        {
+          index: 0,
+          message,
+          finish_reason: message.tool_calls ? 'tool_calls' : 'stop'
+        }
+      ],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async streamChatCompletion(requestConfig, context) {
+    return completionToChunks(await this.createChatCompletion(requestConfig, context));
+  }
+
+  defaultFixture(requestConfig) {
+    // Un appel en mode JSON doit recevoir du JSON valide
+    const jsonMode = requestConfig.response_format && requestConfig.response_format.type === 'json_object';
+    if (jsonMode) {
+      return this.fixtures['default-json'] || { content: '{}' };
+    }
+    return this.fixtures.default || { content: 'Réponse simulée (fournisseur mock).' };
+  }
+
+  async ping() {
+    return true;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: true,
+      model: this.model,
+      fixturesDir: this.fixturesDir,
+      fixtures: Object.keys(this.fixtures)
+    };
+  }
+}
+
+module.exports = MockProvider;
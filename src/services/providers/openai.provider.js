@@ -0,0 +1,106 @@
+// src/services/providers/openai.provider.js
+// Fournisseur LLM OpenAI, et toute API compatible OpenAI (Ollama, vLLM, LM Studio) via baseURL
+
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Nom du fournisseur (openai, openai-compatible)
+   * @param {string} [config.apiKey] - Clé d'API
+   * @param {string} [config.baseURL] - URL de base d'une API compatible OpenAI
+   * @param {string} config.model - Modèle par défaut
+   * @param {boolean} [config.requiresApiKey=true] - Les serveurs locaux n'exigent généralement pas de clé
+   * @param {boolean} [config.requiresBaseURL=false] - Obligatoire pour une API compatible OpenAI
+   */
+  constructor({ name, apiKey, baseURL, model, requiresApiKey = true, requiresBaseURL = false }) {
+    this.name = name;
+    this.type = 'openai';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.model = model;
+    this.requiresApiKey = requiresApiKey;
+    this.requiresBaseURL = requiresBaseURL;
+    // Client SDK créé au premier appel : un fournisseur non configuré ne bloque pas le démarrage
+    this.client = null;
+  }
+
+  getClient() {
+    this.assertConfigured();
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+    return this.client;
+  }
+
+  createClient() {
+    return new OpenAI({
+      // Le SDK exige une clé même pour un serveur local qui l'ignore
+      apiKey: this.apiKey || 'not-needed',
+      baseURL: this.baseURL || undefined,
+      // Les nouvelles tentatives sont gérées par OpenAIService (backoff, disjoncteur)
+      maxRetries: 0
+    });
+  }
+
+  isConfigured() {
+    if (this.requiresApiKey && !this.apiKey) return false;
+    if (this.requiresBaseURL && !this.baseURL) return false;
+    return true;
+  }
+
+  /**
+   * Appel de complétion de chat, réponse au format OpenAI
+   * @param {Object} requestConfig - Corps de la requête chat.completions
+   * @param {Object} [context] - `signal` (annulation) et `timeoutMs` fournis par OpenAIService
+   */
+  async createChatCompletion(requestConfig, { signal, timeoutMs } = {}) {
+    return this.getClient().chat.completions.create(requestConfig, {
+      signal,
+      timeout: timeoutMs
+    });
+  }
+
+  /**
+   * Même appel en streaming : itérable asynchrone de fragments chat.completion.chunk
+   */
+  async streamChatCompletion(requestConfig, { signal, timeoutMs } = {}) {
+    return this.getClient().chat.completions.create({
+      ...requestConfig,
+      stream: true,
+      // Dernier fragment porteur de l'usage (tokens), ignoré par certains serveurs compatibles
+      stream_options: { include_usage: true }
+    }, {
+      signal,
+      timeout: timeoutMs
+    });
+  }
+
+  /**
+   * Vérification de connectivité (liste des modèles, sans consommer de tokens)
+   */
+  async ping() {
+    await this.getClient().models.list();
+    return true;
+  }
+
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      const error = new Error(`Fournisseur LLM ${this.name} non configuré`);
+      error.code = 'provider_not_configured';
+      throw error;
+    }
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      model: this.model,
+      baseURL: this.baseURL || null
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
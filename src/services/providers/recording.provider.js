@@ -0,0 +1,176 @@
+// src/services/providers/recording.provider.js
+// Enregistrement / rejeu déterministe des appels LLM autour d'un fournisseur réel
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { ChunkAccumulator, completionToChunks } = require('./stream-chunks');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '../../data/llm-recordings');
+const MODES = ['record', 'replay'];
+
+// Horodatages ISO 8601 masqués : ils ne doivent pas empêcher le rejeu d'une requête
+const ISO_DATE_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g;
+
+/**
+ * Sérialisation JSON à clés triées, stable d'une exécution à l'autre
+ */
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const normalizeText = (text) => {
+  if (typeof text !== 'string') return text;
+  return text.replace(/\r\n/g, '\n').replace(ISO_DATE_PATTERN, '<date>').trim();
+};
+
+/**
+ * Requête normalisée servant de clé aux enregistrements. Le modèle en est exclu :
+ * un enregistrement reste rejouable quel que soit le fournisseur configuré.
+ */
+const normalizeRequest = (requestConfig, agentType) => {
+  return {
+    agentType,
+    messages: (requestConfig.messages || []).map(message => ({
+      role: message.role,
+      content: normalizeText(message.content),
+      name: message.name,
+      tool_call_id: message.tool_call_id,
+      tool_calls: message.tool_calls
+    })),
+    tools: requestConfig.tools,
+    tool_choice: requestConfig.tool_choice,
+    response_format: requestConfig.response_format,
+    temperature: requestConfig.temperature,
+    max_tokens: requestConfig.max_tokens
+  };
+};
+
+class RecordingProvider {
+  /**
+   * @param {Object} inner - Fournisseur réel (appelé uniquement en mode record)
+   * @param {Object} config
+   * @param {string} config.mode - record | replay
+   * @param {string} [config.recordingsDir] - Répertoire des enregistrements `<agentType>/<hash>.json`
+   */
+  constructor(inner, { mode, recordingsDir }) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Mode d'enregistrement LLM inconnu: ${mode} (valeurs possibles: ${MODES.join(', ')})`);
+    }
+    this.inner = inner;
+    this.mode = mode;
+    this.name = inner.name;
+    this.type = inner.type;
+    this.model = inner.model;
+    this.recordingsDir = recordingsDir || DEFAULT_RECORDINGS_DIR;
+  }
+
+  isConfigured() {
+    // Le rejeu n'a besoin ni de clé ni de réseau
+    return this.mode === 'replay' || this.inner.isConfigured();
+  }
+
+  async createChatCompletion(requestConfig, context = {}) {
+    const recording = this.locate(requestConfig, context);
+
+    if (this.mode === 'replay') {
+      return this.replay(recording);
+    }
+
+    const response = await this.inner.createChatCompletion(requestConfig, context);
+    await this.save(recording, response);
+    return response;
+  }
+
+  /**
+   * Variante en flux : le rejeu redécoupe la réponse enregistrée, l'enregistrement
+   * reconstitue la complétion complète au fil des fragments
+   */
+  async streamChatCompletion(requestConfig, context = {}) {
+    const recording = this.locate(requestConfig, context);
+
+    if (this.mode === 'replay') {
+      return completionToChunks(await this.replay(recording));
+    }
+
+    const stream = await this.inner.streamChatCompletion(requestConfig, context);
+    const save = (response) => this.save(recording, response);
+    return (async function* () {
+      const accumulator = new ChunkAccumulator();
+      for await (const chunk of stream) {
+        accumulator.add(chunk);
+        yield chunk;
+      }
+      await save(accumulator.toCompletion());
+    })();
+  }
+
+  /**
+   * Clé et fichier d'enregistrement d'une requête
+   */
+  locate(requestConfig, context) {
+    const agentType = context.agentType || 'unknown';
+    const request = normalizeRequest(requestConfig, agentType);
+    const key = crypto.createHash('sha256').update(canonicalJSON(request)).digest('hex').slice(0, 32);
+    return {
+      agentType,
+      key,
+      request,
+      file: path.join(this.recordingsDir, agentType, `${key}.json`)
+    };
+  }
+
+  async replay({ agentType, key, file }) {
+    let recording;
+    try {
+      recording = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      const notFound = new Error(
+        `Aucun enregistrement LLM pour ${agentType}/${key} (${path.relative(process.cwd(), file)}). ` +
+        'Relancez avec LLM_RECORD_MODE=record pour le créer.'
+      );
+      notFound.code = 'recording_not_found';
+      throw notFound;
+    }
+    logger.info(`Rejeu de l'enregistrement LLM ${agentType}/${key}`);
+    return recording.response;
+  }
+
+  async save({ agentType, key, request, file }, response) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({
+      key,
+      agentType,
+      provider: this.inner.name,
+      recordedAt: new Date().toISOString(),
+      request,
+      response
+    }, null, 2));
+    logger.info(`Appel LLM enregistré: ${agentType}/${key}`);
+  }
+
+  async ping() {
+    return this.mode === 'replay' ? true : this.inner.ping();
+  }
+
+  describe() {
+    return {
+      ...this.inner.describe(),
+      configured: this.isConfigured(),
+      recording: {
+        mode: this.mode,
+        dir: this.recordingsDir
+      }
+    };
+  }
+}
+
+module.exports = RecordingProvider;
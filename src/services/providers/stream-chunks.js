@@ -0,0 +1,95 @@
+// src/services/providers/stream-chunks.js
+// Conversion entre complétions de chat et fragments de flux (format chat.completion.chunk d'OpenAI)
+
+/**
+ * Reconstitue une complétion complète à partir des fragments d'un flux
+ */
+class ChunkAccumulator {
+  constructor() {
+    this.id = null;
+    this.model = null;
+    this.content = '';
+    this.toolCalls = [];
+    this.finishReason = null;
+    this.usage = null;
+  }
+
+  /**
+   * Ajoute un fragment, retourne le texte qu'il apporte ('' pour un fragment d'outil ou de fin)
+   */
+  add(chunk) {
+    this.id = this.id || chunk.id;
+    this.model = chunk.model || this.model;
+    if (chunk.usage) this.usage = chunk.usage;
+
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) return '';
+    if (choice.finish_reason) this.finishReason = choice.finish_reason;
+
+    const delta = choice.delta || {};
+    for (const toolCall of delta.tool_calls || []) {
+      // Les arguments d'un appel d'outil arrivent par morceaux, repérés par leur index
+      const index = toolCall.index || 0;
+      if (!this.toolCalls[index]) {
+        this.toolCalls[index] = { id: toolCall.id, type: 'function', function: { name: '', arguments: '' } };
+      }
+      const current = this.toolCalls[index];
+      if (toolCall.id) current.id = toolCall.id;
+      if (toolCall.function && toolCall.function.name) current.function.name += toolCall.function.name;
+      if (toolCall.function && toolCall.function.arguments) current.function.arguments += toolCall.function.arguments;
+    }
+
+    if (delta.content) {
+      this.content += delta.content;
+      return delta.content;
+    }
+    return '';
+  }
+
+  toCompletion() {
+    const message = { role: 'assistant', content: this.content || null };
+    if (this.toolCalls.length > 0) {
+      message.tool_calls = this.toolCalls.filter(Boolean);
+    }
+
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      model: this.model,
+      choices: [{ index: 0, message, finish_reason: this.finishReason || 'stop' }],
+      usage: this.usage
+    };
+  }
+}
+
+/**
+ * Découpe une complétion complète en fragments de flux, mot par mot (mock, rejeu)
+ */
+async function* completionToChunks(completion) {
+  const choice = completion.choices[0];
+  const message = choice.message;
+  const base = {
+    id: completion.id,
+    object: 'chat.completion.chunk',
+    created: completion.created,
+    model: completion.model
+  };
+  const chunk = (delta, finishReason = null) => ({
+    ...base,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  yield chunk({ role: 'assistant' });
+  if (message.tool_calls) {
+    yield chunk({ tool_calls: message.tool_calls.map((toolCall, index) => ({ index, ...toolCall })) });
+  }
+  for (const piece of (message.content || '').match(/\S+\s*|\s+/g) || []) {
+    yield chunk({ content: piece });
+  }
+  yield chunk({}, choice.finish_reason || 'stop');
+  if (completion.usage) {
+    yield { ...base, choices: [], usage: completion.usage };
+  }
+}
+
+module.exports = { ChunkAccumulator, completionToChunks };
@@ -0,0 +1,242 @@
+// src/services/quota.service.js
+// Quotas de consommation LLM (tokens et coût) par utilisateur et par rôle, journaliers et mensuels
+
+const { redisClient, aiCache } = require('../config/redis');
+const { envName } = require('../config/cache-policy');
+const logger = require('../config/logger');
+
+const CONSUMPTION_PREFIX = 'quota:';
+const OVERRIDE_PREFIX = 'quota-override:';
+const PERIODS = ['daily', 'monthly'];
+const METRICS = ['tokens', 'costUsd'];
+
+// Variables d'environnement des limites : QUOTA_<PERIODE>_<METRIQUE>[_<ROLE>]
+const ENV_METRICS = { tokens: 'TOKENS', costUsd: 'COST_USD' };
+
+const readLimit = (name) => {
+  if (process.env[name] === undefined || process.env[name] === '') return undefined;
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+/**
+ * Début de la période suivante (minuit UTC, ou 1er du mois suivant à minuit UTC)
+ */
+const periodReset = (period, now = new Date()) => {
+  return period === 'daily'
+    ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+};
+
+const periodId = (period, now = new Date()) => {
+  return period === 'daily' ? now.toISOString().slice(0, 10) : now.toISOString().slice(0, 7);
+};
+
+/**
+ * Limite la plus généreuse : null (illimité) l'emporte sur toute valeur
+ */
+const mostGenerous = (values) => {
+  if (values.some(value => value === null)) return null;
+  return Math.max(...values);
+};
+
+class QuotaService {
+  /**
+   * Compteurs de consommation de la période courante : `quota:<userId>:<AAAA-MM-JJ | AAAA-MM>`
+   */
+  consumptionKey(userId, period, now = new Date()) {
+    return `${CONSUMPTION_PREFIX}${userId}:${periodId(period, now)}`;
+  }
+
+  overrideKey(scope, id) {
+    return `${OVERRIDE_PREFIX}${scope}:${id}`;
+  }
+
+  /**
+   * Ajoute la consommation d'un appel aux compteurs journalier et mensuel de l'utilisateur
+   */
+  async recordConsumption(userId, { tokens, costMicroUsd }) {
+    const now = new Date();
+    for (const period of PERIODS) {
+      const key = this.consumptionKey(userId, period, now);
+      await redisClient.hIncrBy(key, 'tokens', tokens);
+      await redisClient.hIncrBy(key, 'costMicroUsd', costMicroUsd);
+      // Conservés une période de plus, le temps d'être consultés après la bascule
+      await redisClient.expire(key, Math.ceil((periodReset(period, now) - now) / 1000) + (period === 'daily' ? 86400 : 31 * 86400));
+    }
+  }
+
+  async getConsumption(userId) {
+    const consumption = {};
+    for (const period of PERIODS) {
+      const hash = await redisClient.hGetAll(this.consumptionKey(userId, period)) || {};
+      consumption[period] = {
+        tokens: parseInt(hash.tokens) || 0,
+        costUsd: (parseInt(hash.costMicroUsd) || 0) / 1e6
+      };
+    }
+    return consumption;
+  }
+
+  // === LIMITES ===
+
+  /**
+   * Limites configurées par variables d'environnement, pour un rôle ou par défaut
+   */
+  envLimits(role = null) {
+    const limits = {};
+    for (const period of PERIODS) {
+      limits[period] = {};
+      for (const metric of METRICS) {
+        const base = `QUOTA_${period.toUpperCase()}_${ENV_METRICS[metric]}`;
+        limits[period][metric] = role ? readLimit(`${base}_${envName(role)}`) : readLimit(base);
+      }
+    }
+    return limits;
+  }
+
+  async getOverride(scope, id) {
+    const raw = await redisClient.get(this.overrideKey(scope, id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  /**
+   * Limites effectives d'un utilisateur, par période et métrique (null = illimité).
+   * Priorité : surcharge utilisateur > rôle le plus généreux (surcharge admin > variable du rôle)
+   * > QUOTA_<PERIODE>_<METRIQUE> > illimité
+   */
+  async getLimits(userId, roles = []) {
+    const defaults = this.envLimits();
+    const userOverride = await this.getOverride('user', userId);
+    const roleLimits = [];
+    for (const role of roles) {
+      roleLimits.push({ env: this.envLimits(role), override: await this.getOverride('role', role) });
+    }
+
+    const limits = {};
+    const sources = {};
+    for (const period of PERIODS) {
+      limits[period] = {};
+      sources[period] = {};
+      for (const metric of METRICS) {
+        const fromUser = userOverride && userOverride[period] ? userOverride[period][metric] : undefined;
+        if (fromUser !== undefined) {
+          limits[period][metric] = fromUser;
+          sources[period][metric] = 'user';
+          continue;
+        }
+
+        const fromRoles = roleLimits
+          .map(({ env, override }) => {
+            const value = override && override[period] ? override[period][metric] : undefined;
+            return value !== undefined ? value : env[period][metric];
+          })
+          .filter(value => value !== undefined);
+        if (fromRoles.length > 0) {
+          limits[period][metric] = mostGenerous(fromRoles);
+          sources[period][metric] = 'role';
+          continue;
+        }
+
+        limits[period][metric] = defaults[period][metric] ?? null;
+        sources[period][metric] = defaults[period][metric] !== undefined ? 'default' : 'unlimited';
+      }
+    }
+    return { limits, sources };
+  }
+
+  /**
+   * État du quota d'un utilisateur : limites, consommation, restant et dépassements éventuels
+   */
+  async check(userId, roles = []) {
+    const { limits, sources } = await this.getLimits(userId, roles);
+    const consumption = await this.getConsumption(userId);
+
+    const remaining = {};
+    const exceeded = [];
+    for (const period of PERIODS) {
+      remaining[period] = {};
+      for (const metric of METRICS) {
+        const limit = limits[period][metric];
+        if (limit === null) {
+          remaining[period][metric] = null;
+          continue;
+        }
+        const used = consumption[period][metric];
+        remaining[period][metric] = Math.max(0, Math.round((limit - used) * 1e6) / 1e6);
+        if (used >= limit) {
+          exceeded.push({ period, metric, limit, used, resetAt: periodReset(period).toISOString() });
+        }
+      }
+    }
+
+    return {
+      userId,
+      allowed: exceeded.length === 0,
+      limits,
+      sources,
+      consumption,
+      remaining,
+      exceeded,
+      resetAt: {
+        daily: periodReset('daily').toISOString(),
+        monthly: periodReset('monthly').toISOString()
+      }
+    };
+  }
+
+  // === SURCHARGES (API d'administration) ===
+
+  /**
+   * Enregistre les limites d'un utilisateur ou d'un rôle : `{ daily: { tokens, costUsd }, monthly: {...} }`,
+   * une valeur null rend la métrique illimitée, une valeur absente conserve la limite héritée
+   */
+  async setOverride(scope, id, { daily, monthly, reason }, updatedBy) {
+    const override = {
+      ...(daily && { daily }),
+      ...(monthly && { monthly }),
+      reason: reason || null,
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    };
+    await redisClient.set(this.overrideKey(scope, id), JSON.stringify(override));
+    logger.info(`Quota ${scope} ${id} modifié`, { updatedBy, daily, monthly, reason });
+    return override;
+  }
+
+  async deleteOverride(scope, id) {
+    const deleted = await redisClient.del(this.overrideKey(scope, id));
+    return deleted > 0;
+  }
+
+  async listOverrides() {
+    const overrides = { users: {}, roles: {} };
+    for (const key of await aiCache.keys(`${OVERRIDE_PREFIX}*`)) {
+      const [scope, ...rest] = key.slice(OVERRIDE_PREFIX.length).split(':');
+      const id = rest.join(':');
+      const override = await this.getOverride(scope, id);
+      if (override) overrides[scope === 'user' ? 'users' : 'roles'][id] = override;
+    }
+    return overrides;
+  }
+
+  /**
+   * Configuration des quotas : limites par défaut et surcharges enregistrées
+   */
+  async describe() {
+    const defaults = this.envLimits();
+    for (const period of PERIODS) {
+      for (const metric of METRICS) {
+        defaults[period][metric] = defaults[period][metric] ?? null;
+      }
+    }
+    return {
+      defaults,
+      overrides: await this.listOverrides()
+    };
+  }
+}
+
+const quotaService = new QuotaService();
+
+module.exports = { quotaService, QUOTA_PERIODS: PERIODS, QUOTA_METRICS: METRICS };
@@ -0,0 +1,159 @@
+// src/services/redaction.service.js
+// Masquage des données sensibles (jetons, clés d'API, mots de passe, emails, IP) dans les logs
+// et dans les prompts avant leur envoi au fournisseur LLM, avec un rapport par requête.
+// N'utilise pas le logger : il est lui-même appelé par le format Winston.
+
+const crypto = require('crypto');
+const { DETECTORS, SENSITIVE_KEYS, detectorsFor } = require('../config/redaction');
+const { getCurrentRequest } = require('../middlewares/requestContext');
+
+// Profondeur maximale parcourue dans les métadonnées des logs
+const MAX_DEPTH = 8;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+const count = (findings, detector, n = 1) => {
+  findings[detector] = (findings[detector] || 0) + n;
+};
+
+class RedactionService {
+  /**
+   * Texte masqué ; le nombre de valeurs masquées par détecteur est ajouté à `findings`
+   */
+  redactText(text, target, findings = {}) {
+    if (typeof text !== 'string' || text.length === 0) return text;
+
+    return detectorsFor(target).reduce((current, name) => {
+      const { pattern, replace } = DETECTORS[name];
+      return current.replace(pattern, (...match) => {
+        count(findings, name);
+        return replace(...match);
+      });
+    }, text);
+  }
+
+  /**
+   * Copie masquée d'une valeur quelconque : chaînes, tableaux et objets simples parcourus,
+   * valeur entière masquée pour les clés sensibles (authorization, password, token...)
+   */
+  redactValue(value, target, findings = {}, depth = 0) {
+    if (typeof value === 'string') return this.redactText(value, target, findings);
+    if (depth >= MAX_DEPTH) return value;
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, target, findings, depth + 1));
+    }
+    if (value instanceof Error) {
+      const copy = new Error(this.redactText(value.message, target, findings));
+      copy.name = value.name;
+      copy.stack = this.redactText(value.stack, target, findings);
+      return copy;
+    }
+    if (!isPlainObject(value)) return value;
+
+    return Object.keys(value).reduce((acc, key) => {
+      acc[key] = this.redactProperty(key, value[key], target, findings, depth + 1);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Valeur d'une propriété, masquée en entier si sa clé est sensible
+   */
+  redactProperty(key, value, target, findings, depth = 0) {
+    if (SENSITIVE_KEYS.test(key) && typeof value === 'string' && value && detectorsFor(target).includes('secret')) {
+      count(findings, 'secret');
+      return '[REDACTED:secret]';
+    }
+    return this.redactValue(value, target, findings, depth);
+  }
+
+  /**
+   * Prompt masqué avant callOpenAI : chaîne ou messages (contenu texte, parties texte,
+   * arguments des appels d'outils). Le rapport de la requête en cours est complété.
+   *
+   * @param {string|Array} prompt
+   * @returns {{ prompt: string|Array, findings: Object }}
+   */
+  redactPrompt(prompt) {
+    const findings = {};
+    let redacted = prompt;
+
+    if (typeof prompt === 'string') {
+      redacted = this.redactText(prompt, 'prompts', findings);
+    } else if (Array.isArray(prompt)) {
+      redacted = prompt.map(message => {
+        if (!message || typeof message !== 'object') return message;
+        const copy = { ...message };
+        if (typeof message.content === 'string') {
+          copy.content = this.redactText(message.content, 'prompts', findings);
+        } else if (Array.isArray(message.content)) {
+          copy.content = message.content.map(part => (part && typeof part.text === 'string'
+            ? { ...part, text: this.redactText(part.text, 'prompts', findings) }
+            : part));
+        }
+        if (Array.isArray(message.tool_calls)) {
+          copy.tool_calls = message.tool_calls.map(call => ({
+            ...call,
+            function: { ...call.function, arguments: this.redactText(call.function.arguments, 'prompts', findings) }
+          }));
+        }
+        return copy;
+      });
+    }
+
+    this.record('prompts', findings);
+    return { prompt: redacted, findings };
+  }
+
+  /**
+   * Masque un enregistrement Winston en place (message et métadonnées, hors champs symboles)
+   */
+  redactLogRecord(info) {
+    const findings = {};
+    for (const key of Object.keys(info)) {
+      if (key === 'level') continue;
+      info[key] = this.redactProperty(key, info[key], 'logs', findings);
+    }
+    this.record('logs', findings);
+    return info;
+  }
+
+  /**
+   * Ajoute des valeurs masquées au rapport de la requête en cours (sans effet hors requête)
+   */
+  record(target, findings) {
+    const req = getCurrentRequest();
+    if (!req || Object.keys(findings).length === 0) return;
+
+    req.redactions = req.redactions || {};
+    req.redactions[target] = req.redactions[target] || {};
+    Object.entries(findings).forEach(([detector, n]) => count(req.redactions[target], detector, n));
+  }
+
+  /**
+   * Rapport de la requête en cours : { prompts: { jwt: 1 }, logs: { bearer: 2 } } (vide si rien masqué)
+   */
+  report(req = getCurrentRequest()) {
+    return (req && req.redactions) || {};
+  }
+
+  /**
+   * Forme compacte du rapport pour l'en-tête X-Redactions (ex: "prompts.jwt=1, logs.bearer=2")
+   */
+  formatReport(report) {
+    return Object.entries(report)
+      .flatMap(([target, findings]) => Object.entries(findings).map(([detector, n]) => `${target}.${detector}=${n}`))
+      .join(', ');
+  }
+
+  /**
+   * Empreinte courte d'un secret, pour corréler des logs sans l'y écrire
+   */
+  fingerprint(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+  }
+}
+
+module.exports = new RedactionService();
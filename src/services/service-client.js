@@ -0,0 +1,34 @@
+// src/services/service-client.js
+// Client HTTP des appels vers les autres microservices : chaque requête porte un jeton de service
+
+const axios = require('axios');
+const serviceTokens = require('./service-token.service');
+const { getCurrentRequest, getCurrentSignal } = require('../middlewares/requestContext');
+
+const serviceClient = axios.create({
+  timeout: parseInt(process.env.SERVICE_CLIENT_TIMEOUT) || 30000
+});
+
+/**
+ * Signe l'appel au nom de ce service avec les scopes demandés (`config.scopes`) et transmet
+ * l'utilisateur de la requête en cours, pour que le service appelé autorise en son nom.
+ * Un service qui nous appelle pour son propre compte (sans utilisateur) n'est pas retransmis.
+ * L'appel est annulé avec la tâche qui l'a déclenché (délai d'un outil de l'assistant, client déconnecté).
+ */
+serviceClient.interceptors.request.use((config) => {
+  const signal = getCurrentSignal();
+  if (signal && !config.signal) {
+    config.signal = signal;
+  }
+
+  const req = getCurrentRequest();
+  const user = req && req.user && !req.user.service ? req.user : null;
+
+  const token = serviceTokens.sign({ scopes: config.scopes || [], user });
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+module.exports = serviceClient;
@@ -0,0 +1,115 @@
+// src/services/service-token.service.js
+// Jetons de service (HS256, secret partagé JWT_SECRET) pour les appels entre microservices
+
+const jwt = require('jsonwebtoken');
+const logger = require('../config/logger');
+const permissions = require('./permission.service');
+
+// Attributs de l'utilisateur final transmis aux services appelés
+const FORWARDED_USER_FIELDS = ['id', 'email', 'username', 'roles', 'permissions', 'tenant'];
+
+class ServiceTokenService {
+  constructor() {
+    this.serviceName = process.env.SERVICE_NAME || 'ai-service';
+    this.audience = process.env.SERVICE_TOKEN_AUDIENCE || 'supervia-services';
+    // Jetons signés à chaque appel : une durée courte limite leur rejeu
+    this.ttlSeconds = parseInt(process.env.SERVICE_TOKEN_TTL) || 60;
+    this.warnedMissingSecret = false;
+  }
+
+  get secret() {
+    return process.env.JWT_SECRET || null;
+  }
+
+  isConfigured() {
+    return Boolean(this.secret);
+  }
+
+  /**
+   * Un jeton HS256 est un jeton de service ; les jetons utilisateur sont en RS256 (JWKS)
+   */
+  isServiceToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    return Boolean(decoded && decoded.header && decoded.header.alg === 'HS256');
+  }
+
+  /**
+   * Signe un jeton au nom de ce service, avec ses scopes et, le cas échéant,
+   * l'identité de l'utilisateur final pour lequel l'appel est fait
+   *
+   * @param {Object} params
+   * @param {string[]} [params.scopes] - Ex: ['metrics:read']
+   * @param {Object} [params.user] - Utilisateur de la requête en cours (req.user)
+   * @returns {string|null} null si JWT_SECRET n'est pas défini
+   */
+  sign({ scopes = [], user = null } = {}) {
+    if (!this.isConfigured()) {
+      if (!this.warnedMissingSecret) {
+        logger.warn('JWT_SECRET non défini : les appels aux autres services partent sans authentification');
+        this.warnedMissingSecret = true;
+      }
+      return null;
+    }
+
+    const payload = {
+      type: 'service',
+      scope: scopes.join(' '),
+      ...(user && { user: this.forwardedUser(user) })
+    };
+    return jwt.sign(payload, this.secret, {
+      algorithm: 'HS256',
+      issuer: this.serviceName,
+      subject: this.serviceName,
+      audience: this.audience,
+      expiresIn: this.ttlSeconds
+    });
+  }
+
+  /**
+   * Vérifie un jeton de service (signature, audience, expiration), lève une erreur jsonwebtoken sinon
+   */
+  verify(token) {
+    if (!this.isConfigured()) {
+      throw new jwt.JsonWebTokenError('jetons de service désactivés (JWT_SECRET non défini)');
+    }
+
+    const decoded = jwt.verify(token, this.secret, {
+      algorithms: ['HS256'],
+      audience: this.audience
+    });
+    if (decoded.type !== 'service' || !decoded.sub) {
+      throw new jwt.JsonWebTokenError('jeton de service attendu');
+    }
+    return decoded;
+  }
+
+  /**
+   * Identité portée par un jeton de service vérifié :
+   * - `service` : nom du service appelant, ses scopes et les permissions `ai:*` qu'ils accordent ;
+   * - `user` : l'utilisateur final transmis, dont les permissions sont bornées par celles du service
+   *   (voir permission.service), sinon le service lui-même (rôle `service`, permissions de ses scopes).
+   */
+  principal(decoded) {
+    const scopes = decoded.scope ? decoded.scope.split(' ').filter(Boolean) : [];
+    const service = {
+      name: decoded.sub,
+      scopes,
+      permissions: permissions.scopePermissions(scopes)
+    };
+    const user = decoded.user
+      ? { ...decoded.user, via: service.name, servicePermissions: service.permissions }
+      : { id: `service:${service.name}`, roles: ['service'], permissions: service.permissions, service: service.name };
+
+    return { service, user };
+  }
+
+  forwardedUser(user) {
+    // Seuls les attributs d'identité sont transmis, pas les claims du jeton d'origine (iat, exp, aud...)
+    return FORWARDED_USER_FIELDS.reduce((acc, field) => {
+      if (user[field] !== undefined) acc[field] = user[field];
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = new ServiceTokenService();
@@ -0,0 +1,31 @@
+// src/services/token-counter.js
+// Estimation du nombre de tokens des messages de chat (sans tokenizer : ~4 caractères par token)
+
+// Surcoût de structure par message (rôle, séparateurs) et par requête (amorce de la réponse)
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REQUEST = 3;
+
+/**
+ * Estimation grossière d'un texte, volontairement pessimiste pour le JSON et le français
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Tokens d'un message : contenu, appels d'outils demandés et nom de l'outil
+ */
+const countMessageTokens = (message) => {
+  let tokens = TOKENS_PER_MESSAGE + estimateTokens(message.content);
+  if (message.tool_calls) tokens += estimateTokens(JSON.stringify(message.tool_calls));
+  if (message.name) tokens += estimateTokens(message.name);
+  return tokens;
+};
+
+const countMessagesTokens = (messages) => {
+  return messages.reduce((total, message) => total + countMessageTokens(message), TOKENS_PER_REQUEST);
+};
+
+module.exports = {
+  estimateTokens,
+  countMessageTokens,
+  countMessagesTokens
+};
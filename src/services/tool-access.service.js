@@ -0,0 +1,152 @@
+// src/services/tool-access.service.js
+// Autorisation des outils de l'assistant pour l'utilisateur qui converse : outils permis,
+// services accessibles et labels imposés (tenant) dans les requêtes PromQL
+
+const permissions = require('./permission.service');
+const { TOOL_POLICIES } = require('../config/permissions');
+const { envName } = require('../config/cache-policy');
+const { scopePromQL, scopeError } = require('./promql-scope');
+const { ANONYMOUS_USER_ID } = require('../middlewares/requestContext');
+
+const readList = (name) => {
+  if (!process.env[name]) return undefined;
+  return process.env[name].split(',').map(value => value.trim()).filter(Boolean);
+};
+
+/**
+ * `env=prod,region=eu` -> [{ label: 'env', value: 'prod' }, { label: 'region', value: 'eu' }]
+ */
+const readLabels = (name) => {
+  const entries = readList(name);
+  if (!entries) return undefined;
+  return entries
+    .map(entry => entry.split('='))
+    .filter(([label, value]) => label && value !== undefined)
+    .map(([label, ...value]) => ({ label: label.trim(), value: value.join('=').trim() }));
+};
+
+class ToolAccessService {
+  constructor() {
+    // Label portant le tenant dans les séries Prometheus, renseigné depuis le claim `tenant` du jeton
+    this.tenantLabel = process.env.TOOL_TENANT_LABEL || 'tenant';
+    // Refuse les outils aux utilisateurs sans tenant (hors permission ai:tenants:all) : un jeton
+    // sans claim `tenant` ne doit pas donner accès aux données de tous les tenants
+    this.tenantRequired = process.env.TOOL_TENANT_REQUIRED !== 'false';
+  }
+
+  /**
+   * Restrictions d'un rôle : TOOL_SERVICES_<ROLE>=svc1,svc2 et TOOL_LABELS_<ROLE>=env=prod
+   * (undefined = pas de restriction)
+   */
+  roleScope(role) {
+    return {
+      services: readList(`TOOL_SERVICES_${envName(role)}`),
+      labels: readLabels(`TOOL_LABELS_${envName(role)}`)
+    };
+  }
+
+  /**
+   * Périmètre des outils pour un utilisateur. Comme pour les quotas, le rôle le plus large
+   * l'emporte : un seul rôle sans restriction lève la restriction correspondante.
+   */
+  scopeFor(user) {
+    const granted = permissions.grantedPermissions(user);
+    const base = { userId: user?.id || ANONYMOUS_USER_ID, granted };
+
+    if (permissions.hasPermission(granted, 'ai:tenants:all')) {
+      return { ...base, unrestricted: true, tenant: null, services: null, labels: [] };
+    }
+
+    const roles = user ? user.roles || [] : permissions.anonymousRoles();
+    const roleScopes = roles.map(role => this.roleScope(role));
+    const restricts = (field) => roleScopes.length > 0 && roleScopes.every(scope => scope[field]);
+
+    const services = restricts('services')
+      ? [...new Set(roleScopes.flatMap(scope => scope.services))]
+      : null;
+    // Seuls les labels imposés par tous les rôles de l'utilisateur sont retenus
+    const labels = restricts('labels')
+      ? roleScopes[0].labels.filter(({ label, value }) =>
+        roleScopes.every(scope => scope.labels.some(l => l.label === label && l.value === value)))
+      : [];
+
+    return {
+      ...base,
+      unrestricted: false,
+      tenant: (user && user.tenant) || null,
+      services,
+      labels
+    };
+  }
+
+  assertTenant(scope) {
+    if (this.tenantRequired && !scope.unrestricted && !scope.tenant) {
+      throw scopeError('aucun tenant associé à l\'utilisateur');
+    }
+  }
+
+  /**
+   * Requête PromQL ramenée au périmètre : labels du rôle et tenant imposés, services restreints (job)
+   */
+  scopeQuery(scope, query) {
+    this.assertTenant(scope);
+    return scopePromQL(query, {
+      required: [
+        ...scope.labels,
+        ...(scope.tenant ? [{ label: this.tenantLabel, value: scope.tenant }] : [])
+      ],
+      restricted: scope.services ? { job: scope.services } : {}
+    });
+  }
+
+  checkService(scope, service) {
+    if (scope.services && service && !scope.services.includes(service)) {
+      throw scopeError(`service ${service} hors du périmètre autorisé (${scope.services.join(', ')})`);
+    }
+  }
+
+  /**
+   * Le périmètre restreint-il les données (tenant, labels imposés ou services) ?
+   */
+  restricts(scope) {
+    return !scope.unrestricted && Boolean(scope.tenant || scope.labels.length > 0 || scope.services);
+  }
+
+  /**
+   * Un objet étiqueté (alerte) appartient-il au périmètre : tenant et labels imposés présents,
+   * service (label `job` ou `service`) autorisé. Sans label de tenant, il est exclu.
+   */
+  allowsLabels(scope, labels = {}) {
+    if (!this.restricts(scope)) return true;
+    if (scope.tenant && labels[this.tenantLabel] !== scope.tenant) return false;
+    if (!scope.labels.every(({ label, value }) => labels[label] === value)) return false;
+    if (!scope.services) return true;
+    const service = labels.job || labels.service;
+    return Boolean(service) && scope.services.includes(service);
+  }
+
+  /**
+   * Vérifie un appel d'outil et retourne ses arguments ramenés au périmètre.
+   * Lève une erreur `TOOL_SCOPE_DENIED` si l'appel est refusé.
+   */
+  authorize(name, args, scope) {
+    const requirement = TOOL_POLICIES[name];
+    if (!requirement) {
+      throw scopeError(`outil ${name} non autorisé`);
+    }
+    if (!permissions.evaluate(requirement, scope.granted)) {
+      throw scopeError(`permission requise pour ${name} : ${permissions.describeRequirement(requirement)}`);
+    }
+    this.assertTenant(scope);
+
+    const scoped = { ...args };
+    if (typeof args.query === 'string') {
+      scoped.query = this.scopeQuery(scope, args.query);
+    }
+    this.checkService(scope, args.service);
+    (Array.isArray(args.affectedServices) ? args.affectedServices : []).forEach(service => this.checkService(scope, service));
+    return scoped;
+  }
+}
+
+module.exports = new ToolAccessService();
@@ -1,5 +1,7 @@
 // src/services/tool.service.js
-const axios = require('axios');
+const serviceClient = require('./service-client');
+const toolAccess = require('./tool-access.service');
+const { scopeError } = require('./promql-scope');
 const logger = require('../config/logger');
 
 const METRICS_SERVICE_URL = process.env.METRICS_SERVICE_URL || 'http://localhost:3003';
@@ -179,10 +181,15 @@ const tools = [
   }
 ];
 
-async function prometheusQuery({ query }) {
+// Les outils reçoivent le périmètre de l'utilisateur (voir tool-access.service) : les requêtes
+// PromQL, y compris celles construites par les outils composites, y sont ramenées
+const scoped = (scope, query) => (scope ? toolAccess.scopeQuery(scope, query) : query);
+
+async function prometheusQuery({ query }, scope = null) {
   try {
+    query = scoped(scope, query);
     logger.info(`Executing tool "prometheusQuery" with query: ${query}`);
-    const response = await axios.post(`${METRICS_SERVICE_URL}/api/v1/metrics/prometheus/query`, { query });
+    const response = await serviceClient.post(`${METRICS_SERVICE_URL}/api/v1/metrics/prometheus/query`, { query }, { scopes: ['metrics:read'] });
     
     if (response.data && response.data.success) {
       return JSON.stringify(response.data.data);
@@ -196,12 +203,13 @@ async function prometheusQuery({ query }) {
   }
 }
 
-async function prometheusRangeQuery({ query, start, end, step }) {
+async function prometheusRangeQuery({ query, start, end, step }, scope = null) {
   try {
+    query = scoped(scope, query);
     logger.info(`Executing tool "prometheusRangeQuery" with query: ${query}, start: ${start}, end: ${end}, step: ${step}`);
-    const response = await axios.post(`${METRICS_SERVICE_URL}/api/v1/metrics/prometheus/query_range`, { 
+    const response = await serviceClient.post(`${METRICS_SERVICE_URL}/api/v1/metrics/prometheus/query_range`, { 
       query, start, end, step 
-    });
+    }, { scopes: ['metrics:read'] });
     
     if (response.data && response.data.success) {
       return JSON.stringify(response.data.data);
@@ -215,15 +223,50 @@ async function prometheusRangeQuery({ query, start, end, step }) {
   }
 }
 
-async function getServiceHealth({ service }) {
+/**
+ * Services visibles dans le périmètre (null = aucune restriction). Avec un tenant ou des labels
+ * imposés, ce sont les jobs dont les séries `up` portent ces labels, parmi les services du rôle.
+ */
+async function servicesInScope(scope) {
+  if (!scope || !toolAccess.restricts(scope)) return null;
+  if (!scope.tenant && scope.labels.length === 0) return scope.services;
+
+  const query = toolAccess.scopeQuery(scope, 'count by (job) (up)');
+  const response = await serviceClient.post(`${METRICS_SERVICE_URL}/api/v1/metrics/prometheus/query`, { query }, { scopes: ['metrics:read'] });
+  if (!response.data || !response.data.success) {
+    throw new Error(response.data.message || 'Failed to list the services in scope');
+  }
+  const series = (response.data.data && response.data.data.result) || [];
+  return [...new Set(series.map(entry => entry.metric && entry.metric.job).filter(Boolean))];
+}
+
+async function fetchServiceHealth(service, scope) {
+  const endpoint = service
+    ? `${METRICS_SERVICE_URL}/api/v1/metrics/health/${encodeURIComponent(service)}`
+    : `${METRICS_SERVICE_URL}/api/v1/metrics/health`;
+  // Tenant transmis au service de métriques en plus du filtrage par services
+  const params = scope && !scope.unrestricted && scope.tenant ? { tenant: scope.tenant } : undefined;
+  const response = await serviceClient.get(endpoint, { params, scopes: ['metrics:read'] });
+  return response.data;
+}
+
+async function getServiceHealth({ service }, scope = null) {
   try {
     logger.info(`Executing tool "getServiceHealth" for service: ${service || 'all'}`);
-    const endpoint = service 
-      ? `${METRICS_SERVICE_URL}/api/v1/metrics/health/${service}`
-      : `${METRICS_SERVICE_URL}/api/v1/metrics/health`;
-    
-    const response = await axios.get(endpoint);
-    return JSON.stringify(response.data);
+    const allowed = await servicesInScope(scope);
+    if (!allowed) {
+      return JSON.stringify(await fetchServiceHealth(service, scope));
+    }
+
+    // Périmètre restreint : un service hors périmètre est refusé, sinon santé des seuls services visibles
+    if (service) {
+      if (!allowed.includes(service)) {
+        throw scopeError(`service ${service} hors du périmètre de l'utilisateur`);
+      }
+      return JSON.stringify(await fetchServiceHealth(service, scope));
+    }
+    const results = await Promise.all(allowed.map(name => fetchServiceHealth(name, scope)));
+    return JSON.stringify(allowed.reduce((acc, name, i) => ({ ...acc, [name]: results[i] }), {}));
   } catch (error) {
     const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
     logger.error(`Error in getServiceHealth tool: ${errorMessage}`);
@@ -231,15 +274,39 @@ async function getServiceHealth({ service }) {
   }
 }
 
-async function getActiveAlerts({ severity, state }) {
+/**
+ * Réponse du service d'alertes réduite au périmètre : les alertes (tableau, ou champ `alerts` / `data`)
+ * dont les labels n'y appartiennent pas sont retirées, ainsi que les totaux qui les compteraient.
+ * Une réponse d'un autre format est refusée plutôt que transmise.
+ */
+const restrictAlerts = (payload, scope) => {
+  if (Array.isArray(payload)) {
+    return payload.filter(alert => alert && toolAccess.allowsLabels(scope, alert.labels));
+  }
+  if (payload && typeof payload === 'object') {
+    const field = ['alerts', 'data'].find(key => payload[key] && typeof payload[key] === 'object');
+    if (field) {
+      const { total, count, ...rest } = payload;
+      return { ...rest, [field]: restrictAlerts(payload[field], scope) };
+    }
+  }
+  throw scopeError('réponse du service d\'alertes non filtrable par périmètre');
+};
+
+async function getActiveAlerts({ severity, state }, scope = null) {
   try {
     logger.info(`Executing tool "getActiveAlerts" with filters: severity=${severity}, state=${state}`);
     const params = {};
     if (severity) params.severity = severity;
     if (state) params.state = state;
-    
-    const response = await axios.get(`${METRICS_SERVICE_URL}/api/v1/alerts`, { params });
-    return JSON.stringify(response.data);
+
+    const restricted = scope && toolAccess.restricts(scope);
+    // Périmètre transmis au service d'alertes, puis réappliqué à sa réponse
+    if (restricted && scope.tenant) params.tenant = scope.tenant;
+    if (restricted && scope.services) params.services = scope.services.join(',');
+
+    const response = await serviceClient.get(`${METRICS_SERVICE_URL}/api/v1/alerts`, { params, scopes: ['alerts:read'] });
+    return JSON.stringify(restricted ? restrictAlerts(response.data, scope) : response.data);
   } catch (error) {
     const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
     logger.error(`Error in getActiveAlerts tool: ${errorMessage}`);
@@ -250,11 +317,11 @@ async function getActiveAlerts({ severity, state }) {
 async function generateDashboard({ requirements, templateType, complexity }) {
   try {
     logger.info(`Executing tool "generateDashboard" with requirements: ${requirements}`);
-    const response = await axios.post(`${AI_SERVICE_URL}/api/v1/dashboard/generate`, {
+    const response = await serviceClient.post(`${AI_SERVICE_URL}/api/v1/dashboard/generate`, {
       requirements,
       templateType: templateType || 'custom',
       complexity: complexity || 'medium'
-    });
+    }, { scopes: ['dashboard:generate'] });
     
     if (response.data && response.data.success) {
       return JSON.stringify(response.data);
@@ -268,14 +335,14 @@ async function generateDashboard({ requirements, templateType, complexity }) {
   }
 }
 
-async function analyzePerformance({ service, timeRange, analysisType }) {
+async function analyzePerformance({ service, timeRange, analysisType }, scope = null) {
   try {
     logger.info(`Executing tool "analyzePerformance" for service: ${service}, timeRange: ${timeRange}, type: ${analysisType}`);
     
     // Get current metrics for the service
     const metrics = await prometheusQuery({ 
       query: `up{job="${service}"}` 
-    });
+    }, scope);
     
     // Get performance metrics over time
     const end = new Date().toISOString();
@@ -286,9 +353,9 @@ async function analyzePerformance({ service, timeRange, analysisType }) {
     const requestsQuery = `rate(http_requests_total{job="${service}"}[5m])`;
     
     const [cpuData, memoryData, requestsData] = await Promise.all([
-      prometheusRangeQuery({ query: cpuQuery, start, end, step: '5m' }),
-      prometheusRangeQuery({ query: memoryQuery, start, end, step: '5m' }),
-      prometheusRangeQuery({ query: requestsQuery, start, end, step: '5m' })
+      prometheusRangeQuery({ query: cpuQuery, start, end, step: '5m' }, scope),
+      prometheusRangeQuery({ query: memoryQuery, start, end, step: '5m' }, scope),
+      prometheusRangeQuery({ query: requestsQuery, start, end, step: '5m' }, scope)
     ]);
     
     const analysis = {
@@ -311,14 +378,14 @@ async function analyzePerformance({ service, timeRange, analysisType }) {
   }
 }
 
-async function diagnoseIssue({ symptoms, affectedServices, urgency }) {
+async function diagnoseIssue({ symptoms, affectedServices, urgency }, scope = null) {
   try {
     logger.info(`Executing tool "diagnoseIssue" with symptoms: ${symptoms}`);
     
     // Get current system state
     const [healthData, alertsData] = await Promise.all([
-      getServiceHealth({}),
-      getActiveAlerts({})
+      getServiceHealth({}, scope),
+      getActiveAlerts({}, scope)
     ]);
     
     const health = JSON.parse(healthData);
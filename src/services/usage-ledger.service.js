@@ -0,0 +1,215 @@
+// src/services/usage-ledger.service.js
+// Registre de consommation LLM (tokens et coût estimé) par jour, utilisateur, agent, route et modèle
+
+const { redisClient } = require('../config/redis');
+const pricing = require('../config/llm-pricing');
+const { getRequestAttribution } = require('../middlewares/requestContext');
+const { quotaService } = require('./quota.service');
+const { metrics } = require('../middlewares/metrics');
+const logger = require('../config/logger');
+
+// Un hash par jour et par utilisateur : `usage:<AAAA-MM-JJ>:<userId>`,
+// champs `<agentType>|<route>|<model>|<compteur>` incrémentés atomiquement (HINCRBY),
+// et un ensemble par jour des utilisateurs consommateurs : `usage:users:<AAAA-MM-JJ>` (lu par les rapports sans SCAN)
+const USAGE_PREFIX = 'usage:';
+const USERS_PREFIX = `${USAGE_PREFIX}users:`;
+const FIELD_SEPARATOR = '|';
+const COUNTERS = ['requests', 'promptTokens', 'completionTokens', 'costMicroUsd'];
+const DAY_MS = 24 * 3600 * 1000;
+
+const GROUP_FIELDS = {
+  day: 'day',
+  user: 'userId',
+  agent: 'agentType',
+  route: 'route',
+  model: 'model'
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+const emptyTotals = () => ({
+  requests: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  costUsd: 0
+});
+
+const addTotals = (totals, row) => {
+  totals.requests += row.requests;
+  totals.promptTokens += row.promptTokens;
+  totals.completionTokens += row.completionTokens;
+  totals.totalTokens += row.promptTokens + row.completionTokens;
+  totals.costUsd = Math.round((totals.costUsd + row.costUsd) * 1e6) / 1e6;
+  return totals;
+};
+
+class UsageLedgerService {
+  constructor() {
+    // Les données de refacturation doivent couvrir au moins un exercice
+    this.retentionDays = parseInt(process.env.USAGE_RETENTION_DAYS) || 400;
+    this.maxRangeDays = 366;
+  }
+
+  /**
+   * Enregistre la consommation d'un appel au fournisseur LLM, attribuée à l'utilisateur et à la
+   * route de la requête en cours. Ne lève jamais : la comptabilité ne doit pas faire échouer l'appel.
+   */
+  async record({ agentType, model, usage }) {
+    if (!usage) return null;
+
+    try {
+      const { userId, route } = getRequestAttribution();
+      const { costUsd, priced } = pricing.estimateCost(model, usage);
+      if (!priced) {
+        logger.warn(`Modèle sans prix configuré, coût compté à 0 : ${model} (voir LLM_PRICE_INPUT_* / LLM_PRICE_OUTPUT_*)`);
+      }
+
+      metrics.recordLLMUsage(agentType, route, model, usage, costUsd);
+
+      const day = toDay(new Date());
+      const key = `${USAGE_PREFIX}${day}:${userId}`;
+      const dimension = [agentType, route, model].join(FIELD_SEPARATOR);
+      const increments = {
+        requests: 1,
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        costMicroUsd: Math.round(costUsd * 1e6)
+      };
+      for (const counter of COUNTERS) {
+        await redisClient.hIncrBy(key, `${dimension}${FIELD_SEPARATOR}${counter}`, increments[counter]);
+      }
+      await redisClient.expire(key, this.retentionDays * 24 * 3600);
+      await redisClient.sAdd(`${USERS_PREFIX}${day}`, userId);
+      await redisClient.expire(`${USERS_PREFIX}${day}`, this.retentionDays * 24 * 3600);
+      await quotaService.recordConsumption(userId, {
+        tokens: increments.promptTokens + increments.completionTokens,
+        costMicroUsd: increments.costMicroUsd
+      });
+
+      return { userId, route, costUsd };
+    } catch (error) {
+      logger.error('Erreur enregistrement de la consommation LLM:', { error: error.message, agentType, model });
+      return null;
+    }
+  }
+
+  /**
+   * Jours (UTC) de la période, bornes incluses. Par défaut : les 30 derniers jours.
+   */
+  days({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 29 * DAY_MS);
+    const count = Math.floor((Date.parse(toDay(end)) - Date.parse(toDay(start))) / DAY_MS) + 1;
+
+    if (count < 1) {
+      const error = new Error('La date de début doit précéder la date de fin');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (count > this.maxRangeDays) {
+      const error = new Error(`Période limitée à ${this.maxRangeDays} jours`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return Array.from({ length: count }, (_, i) => toDay(new Date(Date.parse(toDay(start)) + i * DAY_MS)));
+  }
+
+  /**
+   * Lignes détaillées (jour, utilisateur, agent, route, modèle) de la période, pour un utilisateur ou tous
+   */
+  async entries({ from, to, userId } = {}) {
+    const rows = [];
+
+    for (const day of this.days({ from, to })) {
+      const owners = userId ? [userId] : await redisClient.sMembers(`${USERS_PREFIX}${day}`);
+
+      for (const owner of owners) {
+        const hash = await redisClient.hGetAll(`${USAGE_PREFIX}${day}:${owner}`);
+        const byDimension = new Map();
+
+        for (const [field, value] of Object.entries(hash || {})) {
+          const separator = field.lastIndexOf(FIELD_SEPARATOR);
+          const dimension = field.slice(0, separator);
+          const counter = field.slice(separator + 1);
+          if (!byDimension.has(dimension)) byDimension.set(dimension, {});
+          byDimension.get(dimension)[counter] = parseInt(value) || 0;
+        }
+
+        for (const [dimension, counters] of byDimension) {
+          const [agentType, route, model] = dimension.split(FIELD_SEPARATOR);
+          rows.push({
+            day,
+            userId: owner,
+            agentType,
+            route,
+            model,
+            requests: counters.requests || 0,
+            promptTokens: counters.promptTokens || 0,
+            completionTokens: counters.completionTokens || 0,
+            costUsd: (counters.costMicroUsd || 0) / 1e6
+          });
+        }
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * Regroupe les lignes selon les dimensions demandées (day, user, agent, route, model), coût décroissant
+   */
+  aggregate(rows, groupBy) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const dimensions = groupBy.reduce((acc, name) => ({ ...acc, [name]: row[GROUP_FIELDS[name]] }), {});
+      const key = JSON.stringify(dimensions);
+      if (!groups.has(key)) groups.set(key, { ...dimensions, ...emptyTotals() });
+      addTotals(groups.get(key), row);
+    }
+
+    return [...groups.values()].sort((a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens);
+  }
+
+  /**
+   * Consommation d'un utilisateur sur la période, totale et par jour, agent, route et modèle
+   */
+  async getUserUsage(userId, { from, to } = {}) {
+    const days = this.days({ from, to });
+    const rows = await this.entries({ from, to, userId });
+
+    return {
+      userId,
+      from: days[0],
+      to: days[days.length - 1],
+      totals: rows.reduce(addTotals, emptyTotals()),
+      byDay: this.aggregate(rows, ['day']).sort((a, b) => a.day.localeCompare(b.day)),
+      byAgent: this.aggregate(rows, ['agent']),
+      byRoute: this.aggregate(rows, ['route']),
+      byModel: this.aggregate(rows, ['model'])
+    };
+  }
+
+  /**
+   * Rapport de refacturation tous utilisateurs confondus, regroupé selon `groupBy`
+   */
+  async report({ from, to, groupBy = ['day', 'user', 'agent'] } = {}) {
+    const days = this.days({ from, to });
+    const rows = await this.entries({ from, to });
+
+    return {
+      from: days[0],
+      to: days[days.length - 1],
+      groupBy,
+      totals: rows.reduce(addTotals, emptyTotals()),
+      rows: this.aggregate(rows, groupBy),
+      pricing: pricing.describe(),
+      currency: 'USD'
+    };
+  }
+}
+
+const usageLedger = new UsageLedgerService();
+
+module.exports = { usageLedger, GROUP_BY_DIMENSIONS: Object.keys(GROUP_FIELDS) };
@@ -0,0 +1,96 @@
+// tests/config/memory-cache.test.js
+// Correspondance des motifs glob Redis et ensembles triés du cache mémoire
+
+const { MemoryCache, globToRegExp, escapeGlob } = require('../../src/config/memory-cache');
+
+const matches = (pattern, key) => globToRegExp(pattern).test(key);
+
+describe('globToRegExp', () => {
+  test('* et ? couvrent n’importe quels caractères, y compris : et retours à la ligne', () => {
+    expect(matches('ai:*', 'ai:dashboard:abc')).toBe(true);
+    expect(matches('ai:*', 'ai:')).toBe(true);
+    expect(matches('ai:?', 'ai:x')).toBe(true);
+    expect(matches('ai:?', 'ai:xy')).toBe(false);
+    expect(matches('a*b', 'a\nb')).toBe(true);
+  });
+
+  test('le motif est ancré', () => {
+    expect(matches('ai:*', 'xai:1')).toBe(false);
+    expect(matches('ai', 'ai:1')).toBe(false);
+  });
+
+  test('classes, plages et négation', () => {
+    expect(matches('k[abc]', 'kb')).toBe(true);
+    expect(matches('k[abc]', 'kd')).toBe(false);
+    expect(matches('k[a-c]', 'kc')).toBe(true);
+    expect(matches('k[a-c]', 'k-')).toBe(false);
+    expect(matches('k[^a-c]', 'kd')).toBe(true);
+    expect(matches('k[^a-c]', 'ka')).toBe(false);
+  });
+
+  test('métacaractères RegExp traités littéralement', () => {
+    expect(matches('a.b', 'a.b')).toBe(true);
+    expect(matches('a.b', 'axb')).toBe(false);
+    expect(matches('(x)+|y', '(x)+|y')).toBe(true);
+    expect(matches('k[.]', 'k.')).toBe(true);
+    expect(matches('k[.]', 'kx')).toBe(false);
+  });
+
+  test('échappement par \\', () => {
+    expect(matches('a\\*b', 'a*b')).toBe(true);
+    expect(matches('a\\*b', 'axb')).toBe(false);
+    expect(matches('a\\?', 'a?')).toBe(true);
+    expect(matches('k[\\]]', 'k]')).toBe(true);
+  });
+
+  test('crochet non fermé traité comme un caractère littéral', () => {
+    expect(matches('k[ab', 'k[ab')).toBe(true);
+    expect(matches('k[ab', 'ka')).toBe(false);
+  });
+
+  test('classes vides', () => {
+    expect(matches('k[]', 'k')).toBe(false);
+    expect(matches('k[]', 'kx')).toBe(false);
+    expect(matches('k[^]', 'kx')).toBe(true);
+  });
+});
+
+describe('escapeGlob', () => {
+  test('une valeur échappée ne correspond qu’à elle-même', () => {
+    const value = 'user*:[1]?\\';
+    expect(matches(`${escapeGlob(value)}:*`, `${value}:session`)).toBe(true);
+    expect(matches(`${escapeGlob('a*')}:*`, 'abc:session')).toBe(false);
+    expect(matches(`${escapeGlob('[ab]')}`, 'a')).toBe(false);
+  });
+});
+
+describe('ensembles triés', () => {
+  test('ZADD met à jour le score, ZRANGE ordonne par score (REV : décroissant)', async () => {
+    const cache = new MemoryCache();
+
+    expect(await cache.zAdd('idx', [{ score: 1, value: 'a' }, { score: 3, value: 'b' }, { score: 2, value: 'c' }])).toBe(3);
+    expect(await cache.zAdd('idx', { score: 4, value: 'a' })).toBe(0);
+    expect(await cache.zRange('idx', 0, -1)).toEqual(['c', 'b', 'a']);
+    expect(await cache.zRange('idx', 0, 1, { REV: true })).toEqual(['a', 'b']);
+    expect(await cache.zRange('absent', 0, -1)).toEqual([]);
+  });
+
+  test('ZREM et ZREMRANGEBYSCORE, clé supprimée une fois vide', async () => {
+    const cache = new MemoryCache();
+    await cache.zAdd('idx', [{ score: 1, value: 'a' }, { score: 2, value: 'b' }, { score: 3, value: 'c' }]);
+
+    expect(await cache.zRemRangeByScore('idx', 0, 2)).toBe(2);
+    expect(await cache.zRem('idx', ['c', 'x'])).toBe(1);
+    expect(await cache.keys('*')).toEqual([]);
+    await expect(cache.hGetAll('idx')).resolves.toEqual({});
+  });
+
+  test('un ensemble trié n’est pas un hash', async () => {
+    const cache = new MemoryCache();
+    await cache.zAdd('idx', { score: 1, value: 'a' });
+
+    await expect(cache.hGetAll('idx')).rejects.toThrow('WRONGTYPE');
+    await cache.hIncrBy('hash', 'f', 1);
+    await expect(cache.zRange('hash', 0, -1)).rejects.toThrow('WRONGTYPE');
+  });
+});
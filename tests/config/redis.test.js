@@ -0,0 +1,111 @@
+// tests/config/redis.test.js
+// Client de cache en mode mémoire : répartition des clés entre les deux stores et parcours SCAN
+
+process.env.REDIS_ENABLED = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const { redisClient, aiCache } = require('../../src/config/redis');
+const CacheController = require('../../src/controllers/cache.controller');
+
+const KEYS = [
+  'ai:dashboard:abc',
+  'ai-tag:service:auth-service',
+  'chat-session:u1:s1',
+  'ratelimit:default:u1',
+  'quota-override:u1'
+];
+
+// Parcourt un motif page par page, comme le ferait un client
+const scanAll = async (pattern, count) => {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const reply = await redisClient.scan(cursor, { MATCH: pattern, COUNT: count });
+    cursor = String(reply.cursor);
+    keys.push(...reply.keys);
+  } while (cursor !== '0');
+  return keys;
+};
+
+beforeEach(async () => {
+  await redisClient.quit();
+  await redisClient.setEx(KEYS[0], 60, '{}');
+  await redisClient.sAdd(KEYS[1], KEYS[0]);
+  await redisClient.setEx(KEYS[2], 60, '{}');
+  await redisClient.incrWindow(KEYS[3], 60000);
+  await redisClient.set(KEYS[4], '10');
+});
+
+afterAll(() => redisClient.quit());
+
+describe('SCAN en mode mémoire', () => {
+  test('pattern=* couvre le cache IA et les autres données', async () => {
+    expect(redisClient.mode).toBe('memory');
+    expect((await scanAll('*', 100)).sort()).toEqual([...KEYS].sort());
+  });
+
+  test('un curseur parcourt les deux stores sans doublon ni oubli', async () => {
+    const keys = await scanAll('*', 1);
+    expect(keys).toHaveLength(KEYS.length);
+    expect(new Set(keys)).toEqual(new Set(KEYS));
+  });
+
+  test('motifs génériques et motifs préfixés', async () => {
+    expect((await scanAll('a*', 100)).sort()).toEqual(['ai-tag:service:auth-service', 'ai:dashboard:abc']);
+    expect(await scanAll('ai:*', 100)).toEqual(['ai:dashboard:abc']);
+    expect(await scanAll('chat-session:*', 100)).toEqual(['chat-session:u1:s1']);
+    expect((await scanAll('*:u1', 100)).sort()).toEqual(['quota-override:u1', 'ratelimit:default:u1']);
+  });
+
+  test('KEYS suit la même répartition', async () => {
+    expect((await redisClient.keys('*')).sort()).toEqual([...KEYS].sort());
+    expect((await aiCache.keys('*')).sort()).toEqual([...KEYS].sort());
+  });
+});
+
+describe('GET /api/cache/keys en mode mémoire', () => {
+  const getKeys = async (pattern, roles, query = {}) => {
+    const res = { json: jest.fn(), status: jest.fn() };
+    res.status.mockReturnValue(res);
+    const next = jest.fn();
+
+    await CacheController.getKeys({ query: { pattern, ...query }, user: { id: 'u1', roles } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    return { status: res.status.mock.calls.length > 0 ? res.status.mock.calls[0][0] : 200, body: res.json.mock.calls[0][0] };
+  };
+
+  test('pattern=* liste les entrées du cache IA et les autres données', async () => {
+    const { status, body } = await getKeys('*', ['admin']);
+
+    expect(status).toBe(200);
+    expect(body.keys.map(({ key }) => key).sort()).toEqual([...KEYS].sort());
+    expect(body.done).toBe(true);
+  });
+
+  test('une page ne dépasse pas limit et son curseur reprend juste après sa dernière clé', async () => {
+    const pages = [];
+    let cursor = '0';
+    do {
+      const { body } = await getKeys('*', ['admin'], { cursor, limit: '2' });
+      expect(body.keys.length).toBeLessThanOrEqual(2);
+      pages.push(body.keys.map(({ key }) => key));
+      cursor = body.cursor;
+      expect(body.done).toBe(cursor === '0');
+    } while (cursor !== '0');
+
+    expect(pages.map(page => page.length)).toEqual([2, 2, 1]);
+    expect(pages.flat().sort()).toEqual([...KEYS].sort());
+  });
+
+  test('sans ai:cache:admin, seules les clés ai:* et ai-tag:* sont listables', async () => {
+    expect((await getKeys('ai:*', ['operator'])).body.keys.map(({ key }) => key)).toEqual(['ai:dashboard:abc']);
+    expect((await getKeys('ai-tag:*', ['operator'])).status).toBe(200);
+
+    for (const pattern of ['*', 'a*', 'ai*', 'chat-session:*', 'usage:*', 'quota-override:*', 'ratelimit:*', 'ai?tag:*']) {
+      const { status, body } = await getKeys(pattern, ['operator']);
+      expect(status).toBe(403);
+      expect(body).toMatchObject({ success: false, code: 'FORBIDDEN', required: 'ai:cache:admin' });
+    }
+  });
+});
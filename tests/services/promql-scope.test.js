@@ -0,0 +1,87 @@
+// tests/services/promql-scope.test.js
+// Réécriture des requêtes PromQL des outils selon le périmètre de l'utilisateur
+
+const { scopePromQL, selectorMatchers } = require('../../src/services/promql-scope');
+
+const SCOPE = {
+  required: [{ label: 'tenant', value: 'a' }],
+  restricted: { job: ['api', 'db'] }
+};
+
+const scoped = (query) => scopePromQL(query, SCOPE);
+
+describe('scopePromQL', () => {
+  test('ajoute le tenant et les services autorisés à chaque sélecteur', () => {
+    expect(scoped('up')).toBe('up{tenant="a", job=~"api|db"}');
+    expect(scoped('up{tenant="a"}')).toBe('up{tenant="a", job=~"api|db"}');
+    expect(scoped('up{job="api"}')).toBe('up{job="api", tenant="a"}');
+  });
+
+  test('refuse un autre tenant, quel que soit l’opérateur', () => {
+    expect(() => scoped('up{tenant="b"}')).toThrow(expect.objectContaining({ code: 'TOOL_SCOPE_DENIED' }));
+    expect(() => scoped('up{tenant=~"a|b"}')).toThrow(/tenant est imposé/);
+    expect(() => scoped('up{tenant!="a"}')).toThrow(/tenant est imposé/);
+    expect(() => scoped('up{tenant="a"} or up{tenant="b"}')).toThrow(/tenant est imposé/);
+  });
+
+  test('refuse un service hors périmètre', () => {
+    expect(() => scoped('up{job="billing"}')).toThrow(/job "billing" hors du périmètre/);
+    expect(() => scoped('up{job=~".+"}')).toThrow(/hors du périmètre/);
+  });
+
+  test('sélecteur sans nom de métrique ({__name__=~".+"})', () => {
+    expect(scoped('{__name__=~".+"}')).toBe('{__name__=~".+", tenant="a", job=~"api|db"}');
+  });
+
+  test('opérations binaires avec on() et group_left() : chaque côté est restreint', () => {
+    expect(scoped('rate(http_requests_total[5m]) / on(job) group_left(instance) up'))
+      .toBe('rate(http_requests_total{tenant="a", job=~"api|db"}[5m]) / on(job) group_left(instance) up{tenant="a", job=~"api|db"}');
+    expect(scoped('a and on(job, tenant) b offset 5m'))
+      .toBe('a{tenant="a", job=~"api|db"} and on(job, tenant) b{tenant="a", job=~"api|db"} offset 5m');
+    expect(scoped('a > bool ignoring(tenant) b'))
+      .toBe('a{tenant="a", job=~"api|db"} > bool ignoring(tenant) b{tenant="a", job=~"api|db"}');
+  });
+
+  test('agrégations, sous-requêtes et fonctions', () => {
+    expect(scoped('sum by (job) (rate(x{job="api"}[5m]))'))
+      .toBe('sum by (job) (rate(x{job="api", tenant="a"}[5m]))');
+    expect(scoped('count_over_time(up[1h:5m])')).toBe('count_over_time(up{tenant="a", job=~"api|db"}[1h:5m])');
+    expect(scoped('histogram_quantile(0.9, sum by (le) (rate(h_bucket{le="+Inf"}[5m])))'))
+      .toBe('histogram_quantile(0.9, sum by (le) (rate(h_bucket{le="+Inf", tenant="a", job=~"api|db"}[5m])))');
+  });
+
+  test('les chaînes et commentaires ne sont pas pris pour des sélecteurs', () => {
+    expect(scoped('label_replace(up, "tenant", "b", "", "")'))
+      .toBe('label_replace(up{tenant="a", job=~"api|db"}, "tenant", "b", "", "")');
+    expect(scoped('up # tenant="b"')).toBe('up{tenant="a", job=~"api|db"} # tenant="b"');
+  });
+
+  test('idempotente', () => {
+    const once = scoped('sum(rate(http_requests_total[5m])) / on(job) up');
+    expect(scoped(once)).toBe(once);
+  });
+
+  test('valeur du tenant échappée', () => {
+    const query = scopePromQL('up', { required: [{ label: 'tenant', value: 'a"}or{x="' }] });
+    expect(query).toBe('up{tenant="a\\"}or{x=\\""}');
+    expect(selectorMatchers(query)).toEqual([{ metric: 'up', label: 'tenant', op: '=', value: 'a"}or{x="' }]);
+  });
+
+  test('requête invalide refusée', () => {
+    expect(() => scoped('up{job="api"')).toThrow(/non fermé/);
+    expect(() => scoped('up{tenant}')).toThrow(/requête PromQL invalide/);
+  });
+
+  test('sans restriction, la requête est inchangée', () => {
+    expect(scopePromQL('up{tenant="b"}', {})).toBe('up{tenant="b"}');
+  });
+});
+
+describe('selectorMatchers', () => {
+  test('sélecteurs de tous les côtés d’une opération', () => {
+    expect(selectorMatchers('a{tenant="x"} / on(job) b{job=~"p|q"}')).toEqual([
+      { metric: 'a', label: 'tenant', op: '=', value: 'x' },
+      { metric: 'b', label: 'job', op: '=~', value: 'p|q' }
+    ]);
+  });
+});
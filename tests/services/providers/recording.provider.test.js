@@ -0,0 +1,106 @@
+// tests/services/providers/recording.provider.test.js
+// Rejeu des appels LLM depuis les enregistrements committés (src/data/llm-recordings)
+
+process.env.LLM_RECORD_MODE = 'replay';
+process.env.LLM_PROVIDER = 'openai';
+process.env.REDIS_ENABLED = 'false';
+process.env.USE_CACHE = 'false';
+process.env.LOG_LEVEL = 'error';
+delete process.env.LLM_RECORDINGS_DIR;
+delete process.env.OPENAI_API_KEY;
+
+const openAIService = require('../../../src/services/openai.service');
+const llmProviders = require('../../../src/services/llm-provider.service');
+const RecordingProvider = require('../../../src/services/providers/recording.provider');
+
+const METRICS_PROMPT = 'Analyse ces métriques du service checkout : cpu 92%, latence p95 1.8s, erreurs 0.4%.';
+const METRICS_ANSWER = 'Le service checkout est saturé en CPU (92 %) : la latence p95 de 1,8 s en découle. ' +
+  'Augmentez le nombre de réplicas avant que le taux d\'erreurs ne progresse.';
+
+const CHAT_MESSAGES = [
+  { role: 'system', content: 'Tu es l\'assistant opérationnel de SupervIA.' },
+  { role: 'user', content: 'Quelles alertes critiques sont actives ?' }
+];
+const CHAT_TOOLS = [{
+  type: 'function',
+  function: {
+    name: 'getActiveAlerts',
+    description: 'Alertes actives',
+    parameters: { type: 'object', properties: { severity: { type: 'string' } } }
+  }
+}];
+
+describe('LLM_RECORD_MODE=replay', () => {
+  test('le fournisseur est enveloppé et considéré configuré sans clé', () => {
+    const provider = llmProviders.getDefault();
+    expect(provider).toBeInstanceOf(RecordingProvider);
+    expect(provider.isConfigured()).toBe(true);
+  });
+
+  test('rejoue une réponse texte', async () => {
+    const result = await openAIService.callOpenAI(METRICS_PROMPT, 'metricsAnalysis');
+
+    expect(result.content).toBe(METRICS_ANSWER);
+    expect(result.provider).toBe('openai');
+    expect(result.cached).toBe(false);
+    expect(result.usage.total_tokens).toBe(180);
+  });
+
+  test('rejoue une réponse en flux, fragment par fragment', async () => {
+    const deltas = [];
+    const result = await openAIService.callOpenAI(METRICS_PROMPT, 'metricsAnalysis', {
+      onDelta: (delta) => deltas.push(delta)
+    });
+
+    expect(deltas.length).toBeGreaterThan(0);
+    expect(deltas.join('')).toBe(METRICS_ANSWER);
+    expect(result.content).toBe(METRICS_ANSWER);
+  });
+
+  test('rejoue une réponse contenant des appels d\'outils', async () => {
+    const result = await openAIService.callOpenAI(CHAT_MESSAGES, 'chat', {
+      tools: CHAT_TOOLS,
+      tool_choice: 'auto'
+    });
+
+    const { message, finish_reason: finishReason } = result.choices[0];
+    expect(finishReason).toBe('tool_calls');
+    expect(message.tool_calls).toEqual([
+      { id: 'call_alerts', type: 'function', function: { name: 'getActiveAlerts', arguments: '{"severity":"critical"}' } }
+    ]);
+  });
+
+  test('une requête sans enregistrement échoue au lieu de produire un repli', async () => {
+    await expect(openAIService.callOpenAI(`${METRICS_PROMPT} (modifié)`, 'metricsAnalysis'))
+      .rejects.toMatchObject({ code: 'recording_not_found' });
+  });
+});
+
+describe('RecordingProvider.locate', () => {
+  const provider = new RecordingProvider({ name: 'openai' }, { mode: 'replay' });
+  const request = (overrides) => ({
+    model: 'gpt-4o-mini',
+    messages: [{ role: 'user', content: 'État au 2026-10-19T06:16:00.409Z' }],
+    temperature: 0.2,
+    ...overrides
+  });
+
+  test('la clé ignore le modèle et les horodatages ISO', () => {
+    const { key } = provider.locate(request(), { agentType: 'chat' });
+
+    expect(provider.locate(request({ model: 'llama3.1' }), { agentType: 'chat' }).key).toBe(key);
+    expect(provider.locate(request({
+      messages: [{ role: 'user', content: 'État au 2025-01-01T00:00:00+02:00' }]
+    }), { agentType: 'chat' }).key).toBe(key);
+  });
+
+  test('la clé dépend des messages, des paramètres et du type d\'agent', () => {
+    const { key } = provider.locate(request(), { agentType: 'chat' });
+
+    expect(provider.locate(request({ temperature: 0.7 }), { agentType: 'chat' }).key).not.toBe(key);
+    expect(provider.locate(request(), { agentType: 'dashboard' }).key).not.toBe(key);
+    expect(provider.locate(request({
+      messages: [{ role: 'user', content: 'Autre question' }]
+    }), { agentType: 'chat' }).key).not.toBe(key);
+  });
+});